@@ -0,0 +1,61 @@
+'use strict'
+
+const Log = require('../src/log')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+// Usage: node benchmarks/benchmark-join-large.js [entries] [diverged] [rounds]
+const entryCount = parseInt(process.argv[2]) || 100000
+const divergedCount = parseInt(process.argv[3]) || 1000
+const rounds = parseInt(process.argv[4]) || 100
+
+const measure = async (fn) => {
+  const start = process.hrtime()
+  await fn()
+  const [s, ns] = process.hrtime(start)
+  return s * 1000 + ns / 1e6
+}
+
+const format = (ms) => `${ms.toFixed(2)} ms`
+
+let run = (async () => {
+  console.log('Starting benchmark...')
+
+  const storage = new MemoryStorage()
+  const log1 = new Log(storage, 'A')
+  const log2 = new Log(storage, 'B')
+
+  // Shared history
+  let time = await measure(async () => {
+    for (let i = 0; i < entryCount; i ++) {
+      await log1.append('a' + i)
+    }
+  })
+  console.log(`Appended ${entryCount} entries in ${format(time)}`)
+
+  time = await measure(() => log2.join(log1, -1, log2.id))
+  console.log(`Joined ${log1.length} entries to an empty log in ${format(time)}`)
+
+  // Diverged history
+  for (let i = 0; i < divergedCount; i ++) {
+    await log1.append('a' + (entryCount + i))
+    await log2.append('b' + i)
+  }
+
+  time = await measure(() => log1.join(log2, -1, log1.id))
+  console.log(`Joined ${divergedCount} diverged entries to a log of ${log1.length - divergedCount} entries in ${format(time)}`)
+
+  time = await measure(() => log2.join(log1, -1, log2.id))
+  console.log(`Joined ${divergedCount} diverged entries to a log of ${log2.length - divergedCount} entries in ${format(time)}`)
+
+  // Replication, one new entry per join
+  let total = 0
+  for (let i = 0; i < rounds; i ++) {
+    await log1.append('a' + i)
+    await log2.append('b' + i)
+    total += await measure(() => log1.join(log2, -1, log1.id))
+    total += await measure(() => log2.join(log1, -1, log2.id))
+  }
+  console.log(`Average join of a log of ${log1.length} entries with one new entry: ${format(total / (rounds * 2))}`)
+})()
+
+module.exports = run
@@ -3,6 +3,7 @@
 const IPFS = require('ipfs')
 const Log = require('../src/log')
 const Keystore = require('orbit-db-keystore')
+const { KeystoreIdentity } = require('../src/identities')
 
 const dataPath = './ipfs/examples/log'
 
@@ -17,19 +18,19 @@ const ipfs = new IPFS({
 ipfs.on('error', (err) => console.error(err))
 ipfs.on('ready', async () => {
   const keystore = new Keystore(dataPath + '/keystore')
-  ipfs.keystore = keystore
 
-  let key1, key2, key3
+  let identity1, identity2
   try {
-    key1 = keystore.getKey('A') || keystore.createKey('A')
-    key2 = keystore.getKey('C') || keystore.createKey('C')
+    identity1 = new KeystoreIdentity(keystore, keystore.getKey('A') || keystore.createKey('A'), 'A')
+    identity2 = new KeystoreIdentity(keystore, keystore.getKey('C') || keystore.createKey('C'), 'C')
   } catch (e) {
     console.error(e)
   }
 
-  let log1 = new Log(ipfs, 'A', null, null, null, key1, [key1.getPublic('hex'), key2.getPublic('hex')])
-  let log2 = new Log(ipfs, 'A', null, null, null, key1, [key1.getPublic('hex'), key2.getPublic('hex')])
-  let log3 = new Log(ipfs, 'C', null, null, null, key2, [key1.getPublic('hex'), key2.getPublic('hex')])
+  const writers = [identity1.publicKey, identity2.publicKey]
+  let log1 = new Log(ipfs, 'A', null, null, null, identity1, writers)
+  let log2 = new Log(ipfs, 'A', null, null, null, identity1, writers)
+  let log3 = new Log(ipfs, 'C', null, null, null, identity2, writers)
 
   try {
     await log1.append('one')
@@ -0,0 +1,44 @@
+'use strict'
+
+const KeyListAccessController = require('./key-list-access-controller')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Access controllers
+ *
+ * @description
+ * An access controller decides who can write to a signed log. It's any
+ * object that implements:
+ *
+ *   canAppend(entry: Entry, identity: Object): Promise<boolean>
+ *
+ * `identity.publicKey` is the public key of the writer as a hex string.
+ * It's called with the new entry and the identity of the log, before the
+ * entry is signed and stored, when appending to the log, and with every
+ * new entry of a joined log.
+ */
+
+/**
+ * Check whether an object implements the access controller interface
+ * @param {Object} obj An object to check
+ * @returns {boolean}
+ */
+const isAccessController = (obj) => {
+  return isDefined(obj) && typeof obj.canAppend === 'function'
+}
+
+/**
+ * Returns an access controller for the given argument. Access controllers
+ * are returned as-is, public keys are given to a KeyListAccessController.
+ * @param {AccessController|Array<string>|string} access An access controller or public keys
+ * @returns {AccessController}
+ */
+const toAccessController = (access) => {
+  return isAccessController(access) ? access : new KeyListAccessController(access)
+}
+
+module.exports = {
+  KeyListAccessController: KeyListAccessController,
+  isAccessController: isAccessController,
+  toAccessController: toAccessController,
+}
@@ -0,0 +1,44 @@
+'use strict'
+
+const isDefined = require('../utils/is-defined')
+
+/**
+ * KeyListAccessController
+ *
+ * @description
+ * Allows writing to the log for the public keys in a list.
+ * A '*' in the list allows anyone to write.
+ */
+class KeyListAccessController {
+  /**
+   * Create a new KeyListAccessController instance
+   * @param {Array<string|Key>|string|Key} [keys] Public keys, as hex strings or keys,
+   * that are allowed to write
+   */
+  constructor (keys) {
+    keys = Array.isArray(keys) ? keys : (isDefined(keys) ? [keys] : [])
+    this._keys = keys.map(e => e && e.getPublic ? e.getPublic('hex') : e)
+  }
+
+  /**
+   * Returns the public keys that are allowed to write
+   * @returns {Array<string>}
+   */
+  get keys () {
+    return this._keys
+  }
+
+  /**
+   * Check if an identity can append an entry to the log
+   * @param {Entry}  entry    Entry to append
+   * @param {Object} identity Identity of the writer
+   * @returns {Promise<boolean>}
+   */
+  canAppend (entry, identity) {
+    const allowed = this._keys.includes('*')
+      || (isDefined(identity) && this._keys.includes(identity.publicKey))
+    return Promise.resolve(allowed)
+  }
+}
+
+module.exports = KeyListAccessController
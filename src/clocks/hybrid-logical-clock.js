@@ -0,0 +1,73 @@
+'use strict'
+
+/**
+ * HybridLogicalClock
+ *
+ * @description
+ * A hybrid logical clock keeps the physical time in 'time', in
+ * milliseconds since the epoch, and a logical counter that orders the
+ * events that happen in the same millisecond or while the physical clock
+ * is behind the latest clock seen. A new clock is always later than the
+ * clocks it merged, like a LamportClock, and close to the wall time of
+ * when it was ticked, so entries can be ordered and looked up by time.
+ *
+ * From:
+ * "Logical Physical Clocks and Consistent Snapshots in Globally Distributed Databases"
+ * https://cse.buffalo.edu/tech-reports/2014-04.pdf
+ */
+class HybridLogicalClock {
+  constructor (id, time, logical) {
+    this.id = id
+    this.time = time || 0
+    this.logical = logical || 0
+  }
+
+  tick () {
+    const now = HybridLogicalClock.now()
+    if (now > this.time) {
+      this.time = now
+      this.logical = 0
+    } else {
+      this.logical ++
+    }
+    return this.clone()
+  }
+
+  // Clocks of other types, eg. LamportClock, have no logical counter
+  merge (clock) {
+    const logical = clock.logical || 0
+    if (clock.time > this.time) {
+      this.time = clock.time
+      this.logical = logical
+    } else if (clock.time === this.time) {
+      this.logical = Math.max(this.logical, logical)
+    }
+    return this.clone()
+  }
+
+  clone (id = this.id) {
+    return new HybridLogicalClock(id, this.time, this.logical)
+  }
+
+  /**
+   * Returns the wall time of the clock
+   * @returns {Date}
+   */
+  toDate () {
+    return new Date(this.time)
+  }
+
+  static compare (a, b) {
+    var dist = a.time - b.time
+    if (dist === 0) dist = (a.logical || 0) - (b.logical || 0)
+    if (dist === 0 && a.id !== b.id) return a.id < b.id ? -1 : 1
+    return dist
+  }
+
+  // Physical time, in milliseconds since the epoch
+  static now () {
+    return Date.now()
+  }
+}
+
+module.exports = HybridLogicalClock
@@ -0,0 +1,61 @@
+'use strict'
+
+const LamportClock = require('../lamport-clock')
+const HybridLogicalClock = require('./hybrid-logical-clock')
+const VectorClock = require('./vector-clock')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Clocks
+ *
+ * @description
+ * A clock orders the entries of a log. Logs use a LamportClock unless
+ * another type of clock is given in options.clockType. It's a class that
+ * implements:
+ *
+ *   new Clock(id: string, time: Number)
+ *   id: string                    ID of the clock
+ *   time: Number                  Time of the clock, grows with every entry
+ *   tick(writer?: string): Clock  Advance the clock for a new entry of the writer
+ *   merge(clock): Clock           Advance the clock to a clock of any type, if it's later
+ *   clone(id?: string): Clock     Copy of the clock, optionally with another ID
+ *
+ * Entries keep the fields of their clock, so logs can have entries with
+ * different types of clocks. They're compared with compare, which knows
+ * the fields of all the clocks.
+ */
+
+/**
+ * Compare the clocks of two entries
+ *
+ * @description
+ * Clocks are compared by time, then by the logical counter of hybrid
+ * logical clocks, which LamportClocks don't have, and then by ID.
+ *
+ * @param {Clock} a
+ * @param {Clock} b
+ * @returns {Number} Less than 0 if a is earlier, more than 0 if a is later
+ */
+const compare = (a, b) => HybridLogicalClock.compare(a, b)
+
+/**
+ * Returns a clock instance for a clock or the fields of a stored clock
+ * @param {Clock|Object} clock Clock, or fields of a clock
+ * @param {string} [id] ID of the new clock. Default: the ID of the clock.
+ * @returns {Clock}
+ */
+const toClock = (clock, id) => {
+  id = isDefined(id) ? id : clock.id
+  if (typeof clock.clone === 'function') return clock.clone(id)
+  if (isDefined(clock.logical)) return new HybridLogicalClock(id, clock.time, clock.logical)
+  if (isDefined(clock.vector)) return new VectorClock(id, clock.time, clock.vector)
+  return new LamportClock(id, clock.time)
+}
+
+module.exports = {
+  LamportClock: LamportClock,
+  HybridLogicalClock: HybridLogicalClock,
+  VectorClock: VectorClock,
+  compare: compare,
+  toClock: toClock,
+}
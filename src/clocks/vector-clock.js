@@ -0,0 +1,93 @@
+'use strict'
+
+// Keys of the vector in the order dag-cbor stores them, shorter keys
+// first, so that entries are signed the same way in all entry versions
+const compareKeys = (a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0)
+
+const sortVector = (vector) => Object.keys(vector)
+  .sort(compareKeys)
+  .reduce((res, key) => {
+    res[key] = vector[key]
+    return res
+  }, {})
+
+// Returns -1 if vector a is before vector b, 1 if it's after it,
+// 0 if they're equal and NaN if neither is before the other
+const compareVectors = (a, b) => {
+  let before = false
+  let after = false
+  Object.keys(Object.assign({}, a, b)).forEach(key => {
+    if ((a[key] || 0) < (b[key] || 0)) before = true
+    if ((a[key] || 0) > (b[key] || 0)) after = true
+  })
+  if (before && after) return NaN
+  return before ? -1 : after ? 1 : 0
+}
+
+/**
+ * VectorClock
+ *
+ * @description
+ * A vector clock counts the entries of every writer in 'vector', keyed by
+ * the ID of the writer, in addition to the time of a LamportClock that
+ * orders the entries. An entry happened before another entry if the other
+ * entry's vector has counted all of its entries, and the entries are
+ * concurrent if neither happened before the other.
+ */
+class VectorClock {
+  constructor (id, time, vector) {
+    this.id = id
+    this.time = time || 0
+    this.vector = sortVector(vector || {})
+  }
+
+  // 'writer' is the ID of the writer of the new entry. Default: the ID of the clock.
+  tick (writer = this.id) {
+    this.time ++
+    this.vector = sortVector(Object.assign({}, this.vector, { [writer]: (this.vector[writer] || 0) + 1 }))
+    return this.clone()
+  }
+
+  // Clocks of other types, eg. LamportClock, have no vector
+  merge (clock) {
+    const vector = Object.assign({}, this.vector)
+    Object.keys(clock.vector || {}).forEach(key => {
+      vector[key] = Math.max(vector[key] || 0, clock.vector[key])
+    })
+    this.time = Math.max(this.time, clock.time)
+    this.vector = sortVector(vector)
+    return this.clone()
+  }
+
+  clone (id = this.id) {
+    return new VectorClock(id, this.time, this.vector)
+  }
+
+  static compare (a, b) {
+    var dist = a.time - b.time
+    if (dist === 0 && a.id !== b.id) return a.id < b.id ? -1 : 1
+    return dist
+  }
+
+  /**
+   * Check whether clock a happened before clock b
+   * @param {VectorClock} a
+   * @param {VectorClock} b
+   * @returns {boolean}
+   */
+  static happenedBefore (a, b) {
+    return compareVectors(a.vector, b.vector) === -1
+  }
+
+  /**
+   * Check whether neither of two clocks happened before the other
+   * @param {VectorClock} a
+   * @param {VectorClock} b
+   * @returns {boolean}
+   */
+  static isConcurrent (a, b) {
+    return isNaN(compareVectors(a.vector, b.vector))
+  }
+}
+
+module.exports = VectorClock
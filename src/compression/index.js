@@ -0,0 +1,109 @@
+'use strict'
+
+const zlib = require('zlib')
+const LogError = require('../log-errors')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Payload compression
+ *
+ * @description
+ * Registry of the codecs payloads can be compressed with. A compressed
+ * payload is stored as base64 in the payload of the entry and the name of
+ * the codec in its 'compression' field, so entries compressed with different
+ * codecs, or not at all, can be in the same log.
+ *
+ * A codec implements:
+ *
+ *   name: string                           Name of the codec
+ *   compress(data: Buffer): Promise<Buffer>
+ *   decompress(data: Buffer): Promise<Buffer>
+ */
+const codecs = {}
+
+// Promise of a zlib function, util.promisify isn't in the util module
+// bundlers use in browsers
+const toPromise = (fn) => (data) => new Promise((resolve, reject) => {
+  fn(data, (err, res) => {
+    if (err) return reject(err)
+    resolve(res)
+  })
+})
+
+/**
+ * Add a codec to the registry
+ * @param {Object} codec Codec to add
+ */
+const register = (codec) => {
+  codecs[codec.name] = codec
+}
+
+/**
+ * Get a codec by name
+ * @param {string} name Name of the codec
+ * @returns {Object} Codec
+ * @throws Throws if the codec is not supported
+ */
+const get = (name) => {
+  const codec = isDefined(name) ? codecs[name] : undefined
+  if (!codec) throw new LogError.UnsupportedFormatError(name, 'compression')
+  return codec
+}
+
+/**
+ * Returns the names of the supported codecs
+ * @returns {Array<string>}
+ */
+const names = () => Object.keys(codecs)
+
+/**
+ * Compress a payload
+ *
+ * @description
+ * Resolves to null if the payload doesn't get smaller.
+ *
+ * @param {*}      payload Any JSON.stringifyable data
+ * @param {string} name    Name of the codec
+ * @returns {Promise<string|null>} Compressed payload as base64
+ */
+const compress = async (payload, name) => {
+  const codec = get(name)
+  const data = Buffer.from(JSON.stringify(payload))
+  const compressed = (await codec.compress(data)).toString('base64')
+  return Buffer.byteLength(JSON.stringify(compressed)) < data.length ? compressed : null
+}
+
+/**
+ * Decompress a payload
+ * @param {string} data Compressed payload as base64, see compress
+ * @param {string} name Name of the codec
+ * @returns {Promise<*>} Payload
+ */
+const decompress = async (data, name) => {
+  const codec = get(name)
+  const decompressed = await codec.decompress(Buffer.from(data, 'base64'))
+  return JSON.parse(decompressed.toString())
+}
+
+register({
+  name: 'deflate',
+  compress: toPromise(zlib.deflateRaw),
+  decompress: toPromise(zlib.inflateRaw),
+})
+
+// Brotli is available from Node.js 11.7
+if (zlib.brotliCompress) {
+  register({
+    name: 'brotli',
+    compress: toPromise(zlib.brotliCompress),
+    decompress: toPromise(zlib.brotliDecompress),
+  })
+}
+
+module.exports = {
+  register: register,
+  get: get,
+  names: names,
+  compress: compress,
+  decompress: decompress,
+}
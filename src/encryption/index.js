@@ -0,0 +1,77 @@
+'use strict'
+
+const SymmetricEncryption = require('./symmetric-encryption')
+const RecipientEncryption = require('./recipient-encryption')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Payload encryption
+ *
+ * @description
+ * An encryption encrypts the payloads of new entries before they're
+ * signed and stored, and decrypts them when entries are loaded. Only the
+ * payload is encrypted, hashes, clocks and 'next' references stay readable
+ * so that encrypted logs can be replicated and verified without the key.
+ * It's any object that implements:
+ *
+ *   encrypt(payload: any): Promise<Object>     Encrypt a payload, returns the envelope
+ *   decrypt(envelope: Object): Promise<any>    Decrypt an envelope, rejects if it can't
+ *
+ * Envelopes are objects with the name of the encryption in 'enc' and the
+ * encrypted data in 'data', and they're stored as the payload of the entry.
+ */
+
+/**
+ * Check whether an object implements the encryption interface
+ * @param {Object} obj An object to check
+ * @returns {boolean}
+ */
+const isEncryption = (obj) => {
+  return isDefined(obj)
+    && typeof obj.encrypt === 'function'
+    && typeof obj.decrypt === 'function'
+}
+
+/**
+ * Check whether an encryption can encrypt new payloads. Encryptions with
+ * recipients, see RecipientEncryption, can only encrypt for at least one
+ * recipient, without recipients they only decrypt.
+ * @param {Encryption} encryption An encryption
+ * @returns {boolean}
+ */
+const canEncrypt = (encryption) => {
+  return isEncryption(encryption)
+    && (!Array.isArray(encryption.recipients) || encryption.recipients.length > 0)
+}
+
+/**
+ * Returns an encryption for the given argument. Encryptions are returned
+ * as-is, keys and key providers are given to a SymmetricEncryption.
+ * @param {Encryption|Buffer|string|Function} encryption An encryption, a key or a key provider
+ * @returns {Encryption|null}
+ */
+const toEncryption = (encryption) => {
+  if (!isDefined(encryption)) return null
+  return isEncryption(encryption) ? encryption : new SymmetricEncryption(encryption)
+}
+
+/**
+ * Check whether a payload is an encrypted envelope
+ * @param {*} payload Payload of an entry
+ * @returns {boolean}
+ */
+const isEncrypted = (payload) => {
+  return isDefined(payload)
+    && typeof payload === 'object'
+    && typeof payload.enc === 'string'
+    && typeof payload.data === 'string'
+}
+
+module.exports = {
+  SymmetricEncryption: SymmetricEncryption,
+  RecipientEncryption: RecipientEncryption,
+  isEncryption: isEncryption,
+  canEncrypt: canEncrypt,
+  toEncryption: toEncryption,
+  isEncrypted: isEncrypted,
+}
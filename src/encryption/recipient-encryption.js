@@ -0,0 +1,126 @@
+'use strict'
+
+const crypto = require('crypto')
+const EC = require('elliptic').ec
+const ec = new EC('secp256k1')
+const SymmetricEncryption = require('./symmetric-encryption')
+const LogError = require('../log-errors')
+
+const algorithm = 'ecies-secp256k1'
+
+// Public keys can be compressed or not, compare them uncompressed
+const toPublicKey = (publicKey) => ec.keyFromPublic(publicKey, 'hex').getPublic('hex')
+
+// Key to wrap the content key with, derived from the shared secret
+// of a private and a public key
+const toWrappingKey = (key, publicKey) => {
+  const secret = key.derive(ec.keyFromPublic(publicKey, 'hex').getPublic())
+  return crypto.createHash('sha256').update(secret.toArrayLike(Buffer, 'be', 32)).digest()
+}
+
+/**
+ * RecipientEncryption
+ *
+ * @description
+ * Encrypts payloads so that only the given recipients can read them.
+ * The payload is encrypted with a new content key, which is wrapped for
+ * every recipient with a key derived by ECDH from an ephemeral key pair
+ * and the secp256k1 public key of the recipient, ie. the public key of
+ * their identity. Recipients decrypt with their private key.
+ *
+ * Envelope:
+ *
+ *   { enc: 'ecies-secp256k1', epk, keys: [{ to, key }], iv, tag, data }
+ *
+ * 'epk' is the ephemeral public key and 'keys' the wrapped content key
+ * for each recipient, by public key.
+ */
+class RecipientEncryption {
+  /**
+   * Create a new RecipientEncryption instance
+   * @param {string|Key} [privateKey] Private key to decrypt with as a hex string, or a key pair,
+   * eg. from orbit-db-keystore. Not needed for only encrypting.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.recipients] Public keys of the recipients to encrypt for.
+   * Without recipients, creating entries fails unless they're allowed to be stored unencrypted,
+   * see options.allowPlaintext of Log and Entry.create.
+   */
+  constructor (privateKey, { recipients = [] } = {}) {
+    this._key = privateKey
+      ? ec.keyFromPrivate(typeof privateKey === 'string' ? privateKey : privateKey.getPrivate('hex'), 'hex')
+      : null
+    this._recipients = recipients
+  }
+
+  /**
+   * Returns the public key of the private key as a hex string
+   * @returns {string|null}
+   */
+  get publicKey () {
+    return this._key ? this._key.getPublic('hex') : null
+  }
+
+  /**
+   * Returns the public keys of the recipients payloads are encrypted for
+   * @returns {Array<string>}
+   */
+  get recipients () {
+    return this._recipients
+  }
+
+  /**
+   * Encrypt a payload for the recipients
+   * @param {*} payload Any JSON.stringifyable data
+   * @param {Array<string>} [recipients] Public keys of the recipients. Default: options.recipients
+   * @returns {Promise<Object>} Envelope
+   */
+  async encrypt (payload, recipients = this._recipients) {
+    if (recipients.length === 0) {
+      throw new LogError.InvalidArgumentError('Encryption requires recipients')
+    }
+
+    const contentKey = SymmetricEncryption.generateKey()
+    const ephemeral = ec.genKeyPair()
+    const wrap = async (publicKey) => {
+      const wrappingKey = toWrappingKey(ephemeral, publicKey)
+      const key = await new SymmetricEncryption(wrappingKey).encrypt(contentKey.toString('hex'))
+      return { to: toPublicKey(publicKey), key: key }
+    }
+
+    const { iv, tag, data } = await new SymmetricEncryption(contentKey).encrypt(payload)
+    return {
+      enc: algorithm,
+      epk: ephemeral.getPublic('hex'),
+      keys: await Promise.all(recipients.map(wrap)),
+      iv: iv,
+      tag: tag,
+      data: data,
+    }
+  }
+
+  /**
+   * Decrypt an envelope, rejects if this isn't one of the recipients
+   * @param {Object} envelope Envelope made by encrypt
+   * @returns {Promise<*>} Payload
+   */
+  async decrypt (envelope) {
+    if (envelope.enc !== algorithm) {
+      throw new LogError.LogError(`Unsupported encryption: ${envelope.enc}`)
+    }
+    if (!this._key) throw new LogError.LogError('Decryption requires a private key')
+
+    const recipient = envelope.keys.find(e => e.to === this.publicKey)
+    if (!recipient) throw new LogError.LogError('Not a recipient of the payload')
+
+    const wrappingKey = toWrappingKey(this._key, envelope.epk)
+    const contentKey = await new SymmetricEncryption(wrappingKey).decrypt(recipient.key)
+    return new SymmetricEncryption(contentKey).decrypt({
+      enc: 'aes-256-gcm',
+      iv: envelope.iv,
+      tag: envelope.tag,
+      data: envelope.data,
+    })
+  }
+}
+
+module.exports = RecipientEncryption
@@ -0,0 +1,100 @@
+'use strict'
+
+const crypto = require('crypto')
+const LogError = require('../log-errors')
+
+const algorithm = 'aes-256-gcm'
+const keyLength = 32
+const ivLength = 12
+
+const toKey = (key) => {
+  const buffer = Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex')
+  if (buffer.length !== keyLength) {
+    throw new LogError.InvalidArgumentError(`Encryption key must be ${keyLength} bytes`)
+  }
+  return buffer
+}
+
+/**
+ * SymmetricEncryption
+ *
+ * @description
+ * Encrypts payloads with a key shared by the writers and readers of
+ * a log, using AES-256-GCM. The key can be given directly, or by a key
+ * provider that returns the key for a key ID, eg. to rotate keys. The
+ * ID of the key is stored in the envelope so that the right key can be
+ * looked up when decrypting.
+ *
+ * Envelope:
+ *
+ *   { enc: 'aes-256-gcm', kid, iv, tag, data }   iv, tag and data as base64
+ */
+class SymmetricEncryption {
+  /**
+   * Create a new SymmetricEncryption instance
+   * @param {Buffer|string|Function} key   A 32 byte key as a Buffer or a hex string,
+   * or a key provider function(keyId) that returns the key or a Promise of the key
+   * @param {Object} [options]
+   * @param {string} [options.keyId] ID of the key to encrypt with
+   */
+  constructor (key, { keyId = null } = {}) {
+    if (!key) throw new LogError.InvalidArgumentError('Encryption key is required')
+
+    this._provider = typeof key === 'function' ? key : () => key
+    this._keyId = keyId
+  }
+
+  /**
+   * Returns the ID of the key new payloads are encrypted with
+   * @returns {string|null}
+   */
+  get keyId () {
+    return this._keyId
+  }
+
+  /**
+   * Encrypt a payload
+   * @param {*} payload Any JSON.stringifyable data
+   * @returns {Promise<Object>} Envelope
+   */
+  async encrypt (payload) {
+    const key = toKey(await this._provider(this._keyId))
+    const iv = crypto.randomBytes(ivLength)
+    const cipher = crypto.createCipheriv(algorithm, key, iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()])
+    return {
+      enc: algorithm,
+      kid: this._keyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    }
+  }
+
+  /**
+   * Decrypt an envelope, rejects if it can't be decrypted
+   * @param {Object} envelope Envelope made by encrypt
+   * @returns {Promise<*>} Payload
+   */
+  async decrypt (envelope) {
+    if (envelope.enc !== algorithm) {
+      throw new LogError.LogError(`Unsupported encryption: ${envelope.enc}`)
+    }
+    const key = await this._provider(envelope.kid)
+    if (!key) throw new LogError.LogError(`Encryption key not found: ${envelope.kid}`)
+    const decipher = crypto.createDecipheriv(algorithm, toKey(key), Buffer.from(envelope.iv, 'base64'))
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'))
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()])
+    return JSON.parse(data.toString('utf8'))
+  }
+
+  /**
+   * Generate a new random key
+   * @returns {Buffer}
+   */
+  static generateKey () {
+    return crypto.randomBytes(keyLength)
+  }
+}
+
+module.exports = SymmetricEncryption
@@ -0,0 +1,114 @@
+'use strict'
+
+const CID = require('cids')
+const LogError = require('../log-errors')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Entry codecs
+ *
+ * @description
+ * Registry of the entry format versions. Every version that has ever
+ * been written is kept here so that old entries can be read and verified.
+ * A codec implements:
+ *
+ *   version: Number                     Value of the 'v' field of the entry
+ *   format: string                      Block format the entry is stored as
+ *   encode(entry): Promise<Buffer>      Serialize an entry to a block
+ *   decode(data): Promise<Object>       Deserialize a block to entry fields
+ *   signable(entry): Promise<Buffer>    Data that is signed for the entry
+ *   signsDigest: boolean                Whether the signed data is a digest of the
+ *                                       whole entry. secp256k1 truncates longer data,
+ *                                       the signatures of other versions don't cover
+ *                                       all of the entry.
+ */
+const codecs = {}
+
+// Version new entries are written as, unless specified otherwise
+const defaultVersion = 0
+
+// Version new signed entries are written as, unless specified otherwise
+const defaultSignedVersion = 2
+
+// Block format from the hash of the block. Hashes that are not CIDs
+// come from storage adapters with their own addressing, treat those
+// as the original format.
+const formatOf = (hash) => {
+  try {
+    return new CID(hash).codec
+  } catch (e) {
+    return 'dag-pb'
+  }
+}
+
+/**
+ * Add a codec to the registry
+ * @param {Object} codec Codec to add
+ */
+const register = (codec) => {
+  codecs[codec.version] = codec
+}
+
+/**
+ * Get the codec of a version
+ * @param {Number} version Version of the entry format
+ * @returns {Object} Codec
+ * @throws Throws if the version is not supported
+ */
+const get = (version) => {
+  const codec = isDefined(version) ? codecs[version] : undefined
+  if (!codec) throw new LogError.UnsupportedVersionError(version)
+  return codec
+}
+
+/**
+ * Check if a version is supported
+ * @param {Number} version Version of the entry format
+ * @returns {boolean}
+ */
+const isSupported = (version) => isDefined(version) && codecs[version] !== undefined
+
+/**
+ * Returns the supported versions
+ * @returns {Array<Number>}
+ */
+const versions = () => Object.values(codecs).map(e => e.version)
+
+/**
+ * Decode a block into entry fields
+ *
+ * @description
+ * The block format is read from the hash and the version of the
+ * decoded entry is checked against the codecs of that format.
+ *
+ * @param {string} hash Hash of the block
+ * @param {Buffer} data Data of the block
+ * @returns {Promise<Object>}
+ */
+const decode = (hash, data) => {
+  const format = formatOf(hash)
+  const codec = Object.values(codecs).find(e => e.format === format)
+  if (!codec) return Promise.reject(new LogError.UnsupportedFormatError(format, 'entry'))
+
+  return codec.decode(data)
+    .then((entry) => {
+      if (!isSupported(entry.v) || get(entry.v).format !== format) {
+        throw new LogError.UnsupportedVersionError(entry.v)
+      }
+      return entry
+    })
+}
+
+register(require('./v0'))
+register(require('./v1'))
+register(require('./v2'))
+
+module.exports = {
+  defaultVersion: defaultVersion,
+  defaultSignedVersion: defaultSignedVersion,
+  register: register,
+  get: get,
+  isSupported: isSupported,
+  versions: versions,
+  decode: decode,
+}
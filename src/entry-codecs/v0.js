@@ -0,0 +1,45 @@
+'use strict'
+
+/**
+ * Entry format version 0
+ *
+ * @description
+ * Entries are stored as JSON in the data field of a dag-pb object.
+ * 'next' is an array of Base58 encoded multihashes.
+ */
+const format = 'dag-pb'
+
+const encode = (entry) => {
+  return Promise.resolve(Buffer.from(JSON.stringify(entry)))
+}
+
+const decode = (data) => {
+  return Promise.resolve(JSON.parse(data))
+}
+
+// The signature is calculated over the entry before it's persisted,
+// ie. before it has a hash, a signature or a public key
+const signable = (entry) => {
+  const e = {
+    hash: null,
+    id: entry.id,
+    payload: entry.payload,
+    next: entry.next,
+    v: entry.v,
+    clock: entry.clock,
+  }
+  // Fields that are only in some entries are only signed if they're set,
+  // so that the signatures of entries without them stay the same
+  if (entry.compression) e.compression = entry.compression
+  if (entry.payloadBlocks) e.payloadBlocks = entry.payloadBlocks
+  return Promise.resolve(Buffer.from(JSON.stringify(e)))
+}
+
+module.exports = {
+  version: 0,
+  format: format,
+  encode: encode,
+  decode: decode,
+  signable: signable,
+  signsDigest: false,
+}
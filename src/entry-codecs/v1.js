@@ -0,0 +1,66 @@
+'use strict'
+
+const crypto = require('crypto')
+const CID = require('cids')
+const dagCbor = require('ipld-dag-cbor').util
+
+/**
+ * Entry format version 1
+ *
+ * @description
+ * Entries are stored as dag-cbor and 'next' references are stored
+ * as CID links, so that the log can be traversed with IPLD tools.
+ * The signature is calculated over the sha2-256 digest of the dag-cbor
+ * encoding of the entry without its signature and public key. dag-cbor
+ * orders the keys of objects, so the encoding is the same after the entry
+ * is loaded. secp256k1 signs at most 32 bytes, so the encoding itself
+ * can't be signed.
+ */
+const format = 'dag-cbor'
+
+// The entry as a dag-cbor node, without the signature
+const toNode = (entry) => {
+  const node = {
+    id: entry.id,
+    payload: entry.payload,
+    next: entry.next.map(hash => ({ '/': hash })),
+    v: entry.v,
+    // Clocks can have more fields than id and time, see clocks/
+    clock: Object.assign({}, entry.clock),
+  }
+  if (entry.compression) node.compression = entry.compression
+  if (entry.payloadBlocks) node.payloadBlocks = entry.payloadBlocks
+  return node
+}
+
+const serialize = (node) => {
+  return new Promise((resolve, reject) => {
+    dagCbor.serialize(node, (err, data) => err ? reject(err) : resolve(data))
+  })
+}
+
+const encode = (entry) => {
+  const node = toNode(entry)
+  if (entry.sig) Object.assign(node, { sig: entry.sig })
+  if (entry.key) Object.assign(node, { key: entry.key })
+  return serialize(node)
+}
+
+const decode = (data) => {
+  return new Promise((resolve, reject) => {
+    dagCbor.deserialize(data, (err, node) => err ? reject(err) : resolve(node))
+  })
+  .then((node) => Object.assign(node, {
+    next: (node.next || []).map(link => new CID(link['/']).toBaseEncodedString()),
+  }))
+}
+
+module.exports = {
+  version: 1,
+  format: format,
+  encode: encode,
+  decode: decode,
+  signable: (entry) => serialize(toNode(entry))
+    .then((data) => crypto.createHash('sha256').update(data).digest()),
+  signsDigest: true,
+}
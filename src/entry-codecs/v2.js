@@ -0,0 +1,27 @@
+'use strict'
+
+const crypto = require('crypto')
+const v0 = require('./v0')
+
+/**
+ * Entry format version 2
+ *
+ * @description
+ * Entries are stored the same way as in version 0. The signature is
+ * calculated over the sha2-256 digest of the data that version 0 signs.
+ * secp256k1 signs at most 32 bytes, longer data is truncated, so the
+ * signatures of version 0 don't cover the payload.
+ */
+const signable = (entry) => {
+  return v0.signable(entry)
+    .then((data) => crypto.createHash('sha256').update(data).digest())
+}
+
+module.exports = {
+  version: 2,
+  format: v0.format,
+  encode: v0.encode,
+  decode: v0.decode,
+  signable: signable,
+  signsDigest: true,
+}
@@ -0,0 +1,185 @@
+'use strict'
+
+const Entry = require('./entry')
+const insertSorted = require('./utils/insert-sorted')
+
+/**
+ * EntryIndex
+ *
+ * @description
+ * Index of the entries of a log by hash, that also keeps the entries
+ * sorted by a sort function, Entry.compare by default. The order is
+ * updated incrementally when entries are added, so reading the sorted
+ * entries doesn't sort them.
+ */
+class EntryIndex {
+  /**
+   * Create a new EntryIndex
+   * @param {Array<Entry>} [entries] Entries to index
+   * @param {Function} [sortFn] Function to sort the entries with, see sort-fns
+   */
+  constructor (entries = [], sortFn = Entry.compare) {
+    this._sortFn = sortFn
+    this._index = {}
+    this._sorted = []
+    entries.forEach((entry) => {
+      if (!this._index[entry.hash]) {
+        this._index[entry.hash] = entry
+        this._sorted.push(entry)
+      }
+    })
+    this._sorted.sort(this._sortFn)
+  }
+
+  /**
+   * Returns the number of entries in the index
+   * @returns {Number}
+   */
+  get length () {
+    return this._sorted.length
+  }
+
+  /**
+   * Returns a copy of the entries in sorted order
+   * @returns {Array<Entry>}
+   */
+  get values () {
+    return this._sorted.slice()
+  }
+
+  /**
+   * Returns the latest entry
+   * @returns {Entry|undefined}
+   */
+  get last () {
+    return this._sorted[this._sorted.length - 1]
+  }
+
+  /**
+   * Find an entry
+   * @param {string} hash Hash of the entry
+   * @returns {Entry|undefined}
+   */
+  get (hash) {
+    return this._index[hash]
+  }
+
+  /**
+   * Check if an entry is in the index
+   * @param {string} hash Hash of the entry
+   * @returns {boolean}
+   */
+  has (hash) {
+    return this._index[hash] !== undefined
+  }
+
+  /**
+   * Returns the entry at a position in the sorted order
+   * @param {Number} position Position of the entry
+   * @returns {Entry|undefined}
+   */
+  at (position) {
+    return this._sorted[position]
+  }
+
+  /**
+   * Returns a section of the entries in sorted order, see Array.slice
+   * @param {Number} [start]
+   * @param {Number} [end]
+   * @returns {Array<Entry>}
+   */
+  slice (start, end) {
+    return this._sorted.slice(start, end)
+  }
+
+  /**
+   * Find the position of the first entry that matches a predicate
+   *
+   * @description
+   * Binary search, the predicate must be false for all entries
+   * before the position and true for all entries from it on.
+   *
+   * @param {function(Entry): boolean} predicate
+   * @returns {Number} Position of the entry, or the length if none matched
+   */
+  findIndex (predicate) {
+    let low = 0
+    let high = this._sorted.length
+    while (low < high) {
+      const mid = (low + high) >>> 1
+      if (predicate(this._sorted[mid])) {
+        high = mid
+      } else {
+        low = mid + 1
+      }
+    }
+    return low
+  }
+
+  /**
+   * Add an entry
+   *
+   * @description
+   * Appended entries are later than all entries in the log,
+   * so they are added to the end without searching.
+   *
+   * @param {Entry} entry Entry to add
+   */
+  add (entry) {
+    if (this._index[entry.hash]) return
+
+    this._index[entry.hash] = entry
+    if (this._sorted.length === 0 || this._sortFn(this.last, entry) < 0) {
+      this._sorted.push(entry)
+    } else {
+      insertSorted(this._sorted, entry, this._sortFn)
+    }
+  }
+
+  /**
+   * Add entries
+   *
+   * @description
+   * Merges the new entries to the sorted entries from the end. The new
+   * entries of a join are usually the latest entries, so only the
+   * entries that are later than the earliest new entry are moved.
+   *
+   * @param {Array<Entry>} entries Entries to add
+   */
+  merge (entries) {
+    const added = []
+    entries.forEach((entry) => {
+      if (!this._index[entry.hash]) {
+        this._index[entry.hash] = entry
+        added.push(entry)
+      }
+    })
+    added.sort(this._sortFn)
+
+    const sorted = this._sorted
+    let i = sorted.length - 1
+    let j = added.length - 1
+    let k = sorted.length + added.length - 1
+    sorted.length = k + 1
+    while (j >= 0) {
+      if (i >= 0 && this._sortFn(sorted[i], added[j]) > 0) {
+        sorted[k--] = sorted[i--]
+      } else {
+        sorted[k--] = added[j--]
+      }
+    }
+  }
+
+  /**
+   * Remove all but the latest entries
+   * @param {Number} size How many entries to keep
+   */
+  truncate (size) {
+    if (size >= this._sorted.length) return
+
+    const removed = this._sorted.splice(0, this._sorted.length - size)
+    removed.forEach(entry => delete this._index[entry.hash])
+  }
+}
+
+module.exports = EntryIndex
@@ -3,6 +3,10 @@
 const pWhilst = require('p-whilst')
 const pMap = require('p-map')
 const Entry = require('./entry')
+const Storage = require('./storage')
+const LogError = require('./log-errors')
+const isDefined = require('./utils/is-defined')
+const insertSorted = require('./utils/insert-sorted')
 
 let _tasksRequested = 0
 let _tasksProcessed = 0
@@ -20,7 +24,7 @@ class EntryIO {
   /**
    * Fetch log entries sequentially
    *
-   * @param {IPFS} [ipfs] An IPFS instance
+   * @param {IPFS|Storage} [ipfs] An IPFS instance or a storage adapter
    * @param {string} [hash] Multihash of the entry to fetch
    * @param {string} [parent] Parent of the node to be fetched
    * @param {Object} [all] Entries to skip
@@ -30,6 +34,7 @@ class EntryIO {
    * @returns {Promise<Array<Entry>>}
    */
   static fetchAll (ipfs, hashes, amount, exclude = [], timeout = null, onProgressCallback) {
+    const storage = Storage.toStorage(ipfs)
     let result = []
     let cache = {}
     let loadingQueue = Array.isArray(hashes)
@@ -81,7 +86,7 @@ class EntryIO {
         _tasksRequested ++
 
         // Load the entry
-        Entry.fromMultihash(ipfs, hash)
+        Entry.fromMultihash(storage, hash)
           .then(addToResults)
           .then(resolve)
           .catch(err => {
@@ -93,6 +98,89 @@ class EntryIO {
     return pWhilst(shouldFetchMore, fetchEntry)
       .then(() => result)
   }
+
+  /**
+   * Traverse log entries from the heads
+   *
+   * @description
+   * Walks the log through the 'next' references of the entries and yields
+   * the entries in reverse order, latest first, as soon as they're fetched.
+   * Children are always later than their parents, so the latest entry of
+   * the fetched, not yet yielded entries is always the next entry in order.
+   * A sort function that orders entries before the entries they reference
+   * gives the order only for the entries that have been fetched.
+   * The parents of an entry are fetched only when the entry is yielded,
+   * so stopping the iteration stops fetching.
+   *
+   * @param {IPFS|Storage} [ipfs] An IPFS instance or a storage adapter
+   * @param {Array<Entry|string>} [heads] Entries or hashes to start from
+   * @param {Object} [options]
+   * @param {Number} [options.amount=-1] How many entries to traverse. Default: all.
+   * @param {Array<Entry|string>} [options.exclude] Entries or hashes to not traverse
+   * @param {Number} [options.timeout] How long to wait for an entry before failing with a FetchTimeoutError (ms)
+   * @param {function(hash, entry, count)} [options.onProgressCallback]
+   * @param {Encryption} [options.encryption] Encryption to decrypt the fetched entries with
+   * @param {Function} [options.sortFn] Function to order the entries with, see sort-fns
+   * @returns {AsyncIterator<Entry>}
+   */
+  static async * traverse (ipfs, heads, { amount = -1, exclude = [], timeout = null, onProgressCallback, encryption, sortFn = Entry.compare } = {}) {
+    const storage = Storage.toStorage(ipfs)
+    heads = Array.isArray(heads) ? heads : [heads]
+
+    // Fetched entries that haven't been yielded yet, latest entry last
+    let stack = []
+    let traversed = {}
+    let count = 0
+
+    exclude.forEach(e => traversed[e.hash || e] = true)
+
+    const fetchEntry = (hash) => {
+      return new Promise((resolve, reject) => {
+        // Fail after a timeout (if given) in order to not get
+        // stuck loading a block that is unreachable
+        const timer = timeout
+          ? setTimeout(() => {
+              reject(new LogError.FetchTimeoutError(`Couldn't fetch entry '${hash}', request timed out (${timeout}ms)`, timeout))
+            }, timeout)
+          : null
+
+        _tasksRequested ++
+
+        Entry.fromMultihash(storage, hash, { encryption: encryption })
+          .then((entry) => {
+            clearTimeout(timer)
+            _tasksProcessed ++
+            resolve(entry)
+          })
+          .catch(() => {
+            clearTimeout(timer)
+            resolve()
+          })
+      })
+    }
+
+    // Add entries, or fetch them if only the hash is known
+    const addToStack = async (entries) => {
+      entries = entries.filter(e => !traversed[e.hash || e])
+      entries.forEach(e => traversed[e.hash || e] = true)
+      const fetched = await pMap(entries, e => Entry.isEntry(e) ? e : fetchEntry(e))
+      fetched
+        .filter(e => isDefined(e) && Entry.isEntry(e))
+        .forEach(entry => insertSorted(stack, entry, sortFn))
+    }
+
+    await addToStack(heads)
+
+    while (stack.length > 0 && (amount < 0 || count < amount)) {
+      const entry = stack.pop()
+      count ++
+      if (onProgressCallback) {
+        onProgressCallback(entry.hash, entry, count)
+      }
+      yield entry
+      await addToStack(entry.next)
+    }
+  }
 }
 
 module.exports = EntryIO
@@ -1,75 +1,211 @@
 'use strict'
 
 const Clock = require('./lamport-clock')
+const Clocks = require('./clocks')
+const SortFns = require('./sort-fns')
+const Codecs = require('./entry-codecs')
+const Storage = require('./storage')
+const Identities = require('./identities')
+const Encryption = require('./encryption')
+const PayloadIO = require('./payload-io')
+const Compression = require('./compression')
+const LogError = require('./log-errors')
 const isDefined = require('./utils/is-defined')
 
-const IpfsNotDefinedError = () => new Error('Ipfs instance not defined')
+// Stored payload of an entry whose payload was decompressed, decrypted or
+// loaded from its blocks. Symbols are copied with the entry but left out of JSON, so the
+// payload is what the entry shows and the stored payload is what's signed
+// and stored.
+const storedPayload = Symbol('storedPayload')
+
+// Returns the entry as it's stored
+const toStored = (entry) => {
+  return entry[storedPayload]
+    ? Object.assign({}, entry, { payload: entry[storedPayload] })
+    : entry
+}
+
+// Decompress the payload of an entry that was compressed, see the
+// 'compression' field. Payloads that can't be decompressed stay compressed,
+// codecs that aren't available throw.
+const decompress = async (entry) => {
+  if (!entry.compression) return entry
+
+  Compression.get(entry.compression)
+  try {
+    const payload = await Compression.decompress(entry.payload, entry.compression)
+    return Object.assign({}, entry, { payload: payload, [storedPayload]: entry[storedPayload] || entry.payload })
+  } catch (e) {
+    return entry
+  }
+}
+
+// Verifier of the signatures of any writer with a keystore, for the
+// deprecated Entry.verifyEntry(entry, keystore)
+const toVerifier = (keystore) => ({
+  verify: async (signature, publicKey, data) => {
+    try {
+      const key = await keystore.importPublicKey(publicKey)
+      return await keystore.verify(signature, key, data)
+    } catch (e) {
+      return false
+    }
+  },
+})
+
+// Decrypt and decompress the stored payload of an entry, in the reverse
+// order of Entry.create
+const decodePayload = (entry, encryption) => {
+  return Entry.isEncrypted(entry) ? Entry.decrypt(entry, encryption) : decompress(entry)
+}
 
 class Entry {
   /**
    * Create an Entry
-   * @param {IPFS} ipfs - An IPFS instance
+   * @param {IPFS|Storage} ipfs - An IPFS instance or a storage adapter
    * @param {string|Buffer|Object|Array} data - Data of the entry to be added. Can be any JSON.stringifyable data.
    * @param {Array<Entry|string>} [next=[]] Parents of the entry
+   * @param {Clock} [clock] Clock of the entry, see clocks/. The ID of the clock is the public key
+   * of the identity for signed entries and the ID of the log otherwise.
+   * @param {Identity|Key} [identity] Identity to sign the entry with, see identities/.
+   * Keys are used with the keystore of the storage.
+   * @param {Object} [options]
+   * @param {Number} [options.version] Version of the entry format, see entry-codecs/.
+   * Default: 2 for signed entries, 0 otherwise.
+   * @param {Encryption|Buffer} [options.encryption] Encryption or key to encrypt the payload with, see encryption/.
+   * Throws if the encryption has no recipients, see Encryption.canEncrypt
+   * @param {boolean} [options.allowPlaintext] Store the payload unencrypted if the encryption
+   * has no recipients, instead of throwing
+   * @param {Array<string>} [options.recipients] Public keys of the only ones that can read the payload,
+   * instead of options.encryption
+   * @param {Number} [options.maxInlineSize] Store payloads larger than this (bytes) in blocks of their own,
+   * see Entry.loadPayload
+   * @param {Number} [options.chunkSize] Max size of a payload block (bytes), see PayloadIO
+   * @param {string} [options.compression] Codec to compress the payload with, see compression/
    * @example
    * const entry = await Entry.create(ipfs, 'hello')
    * console.log(entry)
    * // { hash: "Qm...Foo", payload: "hello", next: [] }
    * @returns {Promise<Entry>}
    */
-  static async create (ipfs, id, data, next = [], clock, signKey) {
-    if (!isDefined(ipfs)) throw IpfsNotDefinedError()
-    if (!isDefined(id)) throw new Error('Entry requires an id')
-    if (!isDefined(data)) throw new Error('Entry requires data')
-    if (!isDefined(next) || !Array.isArray(next)) throw new Error("'next' argument is not an array")
+  static async create (ipfs, id, data, next = [], clock, identity, options = {}) {
+    if (!isDefined(ipfs)) throw new LogError.IpfsNotDefinedError()
+    if (!isDefined(id)) throw new LogError.InvalidEntryError('Entry requires an id')
+    if (!isDefined(data)) throw new LogError.InvalidEntryError('Entry requires data')
+    if (!isDefined(next) || !Array.isArray(next)) throw new LogError.InvalidEntryError("'next' argument is not an array")
+
+    identity = Identities.toIdentity(identity, ipfs.keystore)
+
+    // Make sure we can write the requested version
+    const version = isDefined(options.version)
+      ? options.version
+      : identity ? Codecs.defaultSignedVersion : Codecs.defaultVersion
+    Codecs.get(version)
 
     // Clean the next objects and convert to hashes
     const toEntry = (e) => e.hash ? e.hash : e
     let nexts = next.filter(isDefined)
       .map(toEntry)
 
+    // The clock of a signed entry is the writer's, the entry is in the log of the ID
+    const clockId = identity ? identity.publicKey : id
+
     let entry = {
       hash: null, // "Qm...Foo", we'll set the hash after persisting the entry
       id: id, // For determining a unique chain
       payload: data, // Can be any JSON.stringifyable data
       next: nexts, // Array of Multihashes
-      v: 0, // For future data structure updates, should currently always be 0
-      clock: new Clock(id, clock ? clock.time : null),
+      v: version, // Version of the data structure, see entry-codecs/
+      clock: clock ? Clocks.toClock(clock, clockId) : new Clock(clockId),
+    }
+
+    // The payload is compressed, encrypted and stored out of line if it's
+    // large, in that order, and the result is signed and stored
+    if (options.compression) {
+      const compressed = await Compression.compress(entry.payload, options.compression)
+      if (compressed !== null) {
+        entry.payload = compressed
+        entry.compression = options.compression // Codec of the payload, see compression/
+      }
+    }
+
+    const encryption = options.recipients
+      ? new Encryption.RecipientEncryption(null, { recipients: options.recipients })
+      : Encryption.toEncryption(options.encryption)
+    if (encryption && Encryption.canEncrypt(encryption)) {
+      entry.payload = await encryption.encrypt(entry.payload)
+    } else if (encryption && !options.allowPlaintext) {
+      throw new LogError.InvalidArgumentError("Can't encrypt the payload, the encryption has no recipients")
+    }
+
+    // Large payloads are stored out of line and referenced from the entry
+    if (isDefined(options.maxInlineSize) && PayloadIO.size(entry.payload) > options.maxInlineSize) {
+      entry.payload = await PayloadIO.toBlocks(ipfs, entry.payload, { chunkSize: options.chunkSize })
+      entry.payloadBlocks = true // The payload is a reference to its blocks, see PayloadIO
     }
 
-    // If signing key was passedd, sign the enrty
-    if (ipfs.keystore && signKey) {
-      entry = await Entry.signEntry(ipfs.keystore, entry, signKey) 
+    // If an identity was passed, sign the entry
+    if (identity) {
+      entry = await Entry.signEntry(entry, identity)
     }
 
     entry.hash = await Entry.toMultihash(ipfs, entry)
+
+    if (entry.payload !== data) {
+      entry[storedPayload] = entry.payload
+      entry.payload = data
+    }
+
     return entry
   }
 
-  static async signEntry (keystore, entry, key) {
-    const signature = await keystore.sign(key, new Buffer(JSON.stringify(entry)))
-    entry.sig = signature
-    entry.key = key.getPublic('hex')
+  /**
+   * Sign an entry
+   *
+   * @description
+   * The arguments used to be (keystore, entry, key), that order is
+   * deprecated and signs with a KeystoreIdentity of the key.
+   *
+   * @param {Entry}    entry    Entry to sign
+   * @param {Identity} identity Identity to sign the entry with
+   * @returns {Promise<Entry>} The entry with its signature and public key
+   */
+  static async signEntry (entry, identity) {
+    if (arguments.length > 2) {
+      const [keystore, oldEntry, key] = arguments
+      return Entry.signEntry(oldEntry, new Identities.KeystoreIdentity(keystore, key))
+    }
+
+    const data = await Codecs.get(entry.v).signable(entry)
+    entry.sig = await identity.sign(data)
+    entry.key = identity.publicKey
     return entry
   }
 
-  static async verifyEntry (entry, keystore) {
-    const e = Object.assign({}, {
-      hash: null,
-      id: entry.id,
-      payload: entry.payload,
-      next: entry.next,
-      v: entry.v,
-      clock: entry.clock,
-    })
+  /**
+   * Verify the signature of an entry, throws if it doesn't verify
+   *
+   * @description
+   * A keystore can be given instead of an identity, as it used to be.
+   * That is deprecated.
+   *
+   * @param {Entry}    entry    Entry to verify
+   * @param {Identity} identity Identity to verify the signature with
+   * @returns {Promise}
+   */
+  static async verifyEntry (entry, identity) {
+    if (!Identities.isIdentity(identity) && isDefined(identity) && typeof identity.importPublicKey === 'function') {
+      identity = toVerifier(identity)
+    }
 
-    const pubKey = await keystore.importPublicKey(entry.key)
-    await keystore.verify(entry.sig, pubKey, new Buffer(JSON.stringify(e)))
+    const data = await Codecs.get(entry.v).signable(toStored(entry))
+    const verified = await identity.verify(entry.sig, entry.key, data)
+    if (!verified) throw new LogError.InvalidSignatureError(entry)
   }
 
   /**
    * Get the multihash of an Entry
-   * @param {IPFS} [ipfs] An IPFS instance
+   * @param {IPFS|Storage} [ipfs] An IPFS instance or a storage adapter
    * @param {Entry} [entry] Entry to get a multihash for
    * @example
    * const hash = await Entry.toMultihash(ipfs, entry)
@@ -78,27 +214,29 @@ class Entry {
    * @returns {Promise<string>}
    */
   static toMultihash (ipfs, entry) {
-    if (!ipfs) throw IpfsNotDefinedError()
-    const data = Buffer.from(JSON.stringify(entry))
-    return ipfs.object.put(data)
-      .then((res) => res.toJSON().multihash)
+    if (!ipfs) throw new LogError.IpfsNotDefinedError()
+    const codec = Codecs.get(entry.v)
+    return codec.encode(toStored(entry))
+      .then((data) => Storage.toStorage(ipfs).put(data, { format: codec.format }))
   }
 
   /**
    * Create an Entry from a multihash
-   * @param {IPFS} [ipfs] An IPFS instance
+   * @param {IPFS|Storage} [ipfs] An IPFS instance or a storage adapter
    * @param {string} [hash] Multihash as Base58 encoded string to create an Entry from
+   * @param {Object} [options]
+   * @param {Encryption} [options.encryption] Encryption to decrypt the payload with, see Entry.decrypt
    * @example
    * const hash = await Entry.fromMultihash(ipfs, "Qm...Foo")
    * console.log(hash)
    * // { hash: "Qm...Foo", payload: "hello", next: [] }
    * @returns {Promise<Entry>}
    */
-  static fromMultihash (ipfs, hash) {
-    if (!ipfs) throw IpfsNotDefinedError()
-    if (!hash) throw new Error(`Invalid hash: ${hash}`)
-    return ipfs.object.get(hash, { enc: 'base58' })
-      .then((obj) => JSON.parse(obj.toJSON().data))
+  static fromMultihash (ipfs, hash, options = {}) {
+    if (!ipfs) throw new LogError.IpfsNotDefinedError()
+    if (!hash) throw new LogError.InvalidHashError(hash)
+    return Storage.toStorage(ipfs).get(hash)
+      .then((data) => Codecs.decode(hash, data))
       .then((data) => {
         let entry = {
           hash: hash,
@@ -108,10 +246,95 @@ class Entry {
           v: data.v,
           clock: data.clock,
         }
+        if (data.compression) Object.assign(entry, { compression: data.compression })
+        if (data.payloadBlocks) Object.assign(entry, { payloadBlocks: data.payloadBlocks })
         if (data.sig) Object.assign(entry, { sig: data.sig })
         if (data.key) Object.assign(entry, { key: data.key })
         return entry
       })
+      .then((entry) => Entry.hasPayloadBlocks(entry) ? entry : decodePayload(entry, options.encryption))
+  }
+
+  /**
+   * Decrypt the payload of an entry
+   *
+   * @description
+   * Returns a copy of the entry with the decrypted payload, decompressed if
+   * it was compressed. Entries that are not encrypted, are already decrypted
+   * or can't be decrypted with the given encryption are returned as they
+   * are, the payload of an entry that can't be decrypted stays encrypted.
+   *
+   * @param {Entry}      entry        Entry to decrypt
+   * @param {Encryption|Buffer} [encryption] Encryption or key to decrypt the payload with
+   * @returns {Promise<Entry>}
+   */
+  static async decrypt (entry, encryption) {
+    encryption = Encryption.toEncryption(encryption)
+    if (!encryption || !Entry.isEncrypted(entry)) {
+      return entry
+    }
+
+    try {
+      const payload = await encryption.decrypt(entry.payload)
+      return decompress(Object.assign({}, entry, { payload: payload, [storedPayload]: entry[storedPayload] || entry.payload }))
+    } catch (e) {
+      return entry
+    }
+  }
+
+  /**
+   * Check if the payload of an entry is encrypted and not decrypted
+   * @param {Entry} entry
+   * @returns {boolean}
+   */
+  static isEncrypted (entry) {
+    return Encryption.isEncrypted(entry.payload)
+  }
+
+  /**
+   * Load the payload of an entry that was stored out of line
+   *
+   * @description
+   * Entries are loaded without the payloads that were stored in blocks of
+   * their own, their payload is a reference to the blocks until it's loaded.
+   * Returns a copy of the entry with the payload, decompressed and decrypted
+   * if an encryption is given. Entries that have their payload are returned as they are.
+   *
+   * @param {IPFS|Storage} ipfs An IPFS instance or a storage adapter
+   * @param {Entry}        entry Entry to load the payload of
+   * @param {Object}       [options]
+   * @param {Encryption}   [options.encryption] Encryption to decrypt the payload with, see Entry.decrypt
+   * @example
+   * const entry = await Entry.loadPayload(ipfs, log.values[0])
+   * console.log(entry.payload)
+   * @returns {Promise<Entry>}
+   */
+  static async loadPayload (ipfs, entry, options = {}) {
+    if (!Entry.hasPayloadBlocks(entry)) {
+      return Entry.decrypt(entry, options.encryption)
+    }
+
+    const payload = await PayloadIO.fromBlocks(ipfs, entry.payload)
+    return decodePayload(Object.assign({}, entry, { payload: payload, [storedPayload]: entry.payload }), options.encryption)
+  }
+
+  /**
+   * Check if the payload of an entry is stored out of line and not loaded
+   * @param {Entry} entry
+   * @returns {boolean}
+   */
+  static hasPayloadBlocks (entry) {
+    return entry.payloadBlocks === true && !isDefined(entry[storedPayload])
+  }
+
+  /**
+   * Returns the hashes of the blocks the payload of an entry is stored in,
+   * whether the payload is loaded or not
+   * @param {Entry} entry
+   * @returns {Array<string>} Hashes of the blocks, empty if the payload is inline
+   */
+  static getPayloadBlocks (entry) {
+    return entry.payloadBlocks === true ? toStored(entry).payload.blocks : []
   }
 
   /**
@@ -128,10 +351,15 @@ class Entry {
       && obj.clock !== undefined
   }
 
+  /**
+   * Compare two entries by their clocks, then by their hashes,
+   * see SortFns.SortByClocks
+   * @param {Entry} a
+   * @param {Entry} b
+   * @returns {Number}
+   */
   static compare (a, b) {
-    var distance = Clock.compare(a.clock, b.clock)
-    if (distance === 0) return a.clock.id < b.clock.id ? -1 : 1
-    return distance
+    return SortFns.SortByClocks(a, b)
   }
 
   /**
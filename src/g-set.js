@@ -1,13 +1,17 @@
 'use strict'
 
+const EventEmitter = require('events').EventEmitter
+
 /**
  * Interface for G-Set CRDT
  *
+ * Emits events when values are added to the set.
+ *
  * From:
  * "A comprehensive study of Convergent and Commutative Replicated Data Types"
  * https://hal.inria.fr/inria-00555588
  */
-class GSet {
+class GSet extends EventEmitter {
   constuctor (values) {}
   append (value) {}
   merge (set) {}
@@ -0,0 +1,61 @@
+'use strict'
+
+const KeystoreIdentity = require('./keystore-identity')
+const MemoryIdentity = require('./memory-identity')
+const LogError = require('../log-errors')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Identities
+ *
+ * @description
+ * An identity signs the entries written to a log and verifies the
+ * signatures of entries written by others. It's any object that implements:
+ *
+ *   id: string                                     ID of the identity
+ *   publicKey: string                              Public key as a hex string
+ *   sign(data: Buffer): Promise<string>            Sign data, returns the signature
+ *   verify(signature: string, publicKey: string, data: Buffer): Promise<boolean>
+ *                                                  Verify a signature of any identity
+ */
+
+/**
+ * Check whether an object implements the identity interface
+ * @param {Object} obj An object to check
+ * @returns {boolean}
+ */
+const isIdentity = (obj) => {
+  return isDefined(obj)
+    && typeof obj.publicKey === 'string'
+    && typeof obj.sign === 'function'
+    && typeof obj.verify === 'function'
+}
+
+// Check whether an object is a key pair, eg. from elliptic or orbit-db-keystore
+const isKey = (obj) => {
+  return typeof obj.getPublic === 'function'
+    && typeof obj.sign === 'function'
+}
+
+/**
+ * Returns an identity for the given argument. Identities are returned
+ * as-is, keys are used with the keystore if one is given, or kept in
+ * memory otherwise.
+ * @param {Identity|Key} identity An identity or a key pair
+ * @param {Keystore}     [keystore] Keystore of the key
+ * @returns {Identity|null}
+ * @throws Throws if the argument is neither an identity nor a key pair
+ */
+const toIdentity = (identity, keystore) => {
+  if (!isDefined(identity)) return null
+  if (isIdentity(identity)) return identity
+  if (!isKey(identity)) throw new LogError.InvalidArgumentError('Identity must be an identity or a key pair')
+  return keystore ? new KeystoreIdentity(keystore, identity) : new MemoryIdentity(identity)
+}
+
+module.exports = {
+  KeystoreIdentity: KeystoreIdentity,
+  MemoryIdentity: MemoryIdentity,
+  isIdentity: isIdentity,
+  toIdentity: toIdentity,
+}
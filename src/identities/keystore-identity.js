@@ -0,0 +1,70 @@
+'use strict'
+
+const LogError = require('../log-errors')
+
+/**
+ * KeystoreIdentity
+ *
+ * @description
+ * An identity backed by an orbit-db-keystore and one of its keys.
+ */
+class KeystoreIdentity {
+  /**
+   * Create a new KeystoreIdentity instance
+   * @param {Keystore} keystore Keystore the key belongs to
+   * @param {Key}      key      Key pair from the keystore, eg. keystore.getKey(id)
+   * @param {string}   [id]     ID of the identity. Default: the public key.
+   */
+  constructor (keystore, key, id) {
+    if (!keystore) throw new LogError.InvalidArgumentError('Keystore is required')
+    if (!key) throw new LogError.InvalidArgumentError('Key is required')
+
+    this._keystore = keystore
+    this._key = key
+    this._publicKey = key.getPublic('hex')
+    this._id = id || this._publicKey
+  }
+
+  /**
+   * Returns the ID of the identity
+   * @returns {string}
+   */
+  get id () {
+    return this._id
+  }
+
+  /**
+   * Returns the public key as a hex string
+   * @returns {string}
+   */
+  get publicKey () {
+    return this._publicKey
+  }
+
+  /**
+   * Sign data with the key
+   * @param {Buffer} data Data to sign
+   * @returns {Promise<string>} Signature as a hex string
+   */
+  sign (data) {
+    return this._keystore.sign(this._key, data)
+  }
+
+  /**
+   * Verify a signature made by any identity
+   * @param {string} signature Signature as a hex string
+   * @param {string} publicKey Public key of the signer as a hex string
+   * @param {Buffer} data      Data that was signed
+   * @returns {Promise<boolean>}
+   */
+  async verify (signature, publicKey, data) {
+    try {
+      const key = await this._keystore.importPublicKey(publicKey)
+      return await this._keystore.verify(signature, key, data)
+    } catch (e) {
+      return false
+    }
+  }
+}
+
+module.exports = KeystoreIdentity
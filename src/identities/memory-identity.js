@@ -0,0 +1,97 @@
+'use strict'
+
+const EC = require('elliptic').ec
+const ec = new EC('secp256k1')
+const LogError = require('../log-errors')
+
+/**
+ * MemoryIdentity
+ *
+ * @description
+ * An identity with a secp256k1 key pair that is kept in memory.
+ * Signatures are compatible with the ones made by orbit-db-keystore,
+ * so the two can verify each other's entries.
+ */
+class MemoryIdentity {
+  /**
+   * Create a new MemoryIdentity instance
+   * @param {Key}    key  Key pair, eg. from elliptic or orbit-db-keystore
+   * @param {string} [id] ID of the identity. Default: the public key.
+   */
+  constructor (key, id) {
+    if (!key) throw new LogError.InvalidArgumentError('Key is required')
+
+    this._key = key
+    this._publicKey = key.getPublic('hex')
+    this._id = id || this._publicKey
+  }
+
+  /**
+   * Returns the ID of the identity
+   * @returns {string}
+   */
+  get id () {
+    return this._id
+  }
+
+  /**
+   * Returns the public key as a hex string
+   * @returns {string}
+   */
+  get publicKey () {
+    return this._publicKey
+  }
+
+  /**
+   * Returns the private key as a hex string
+   * @returns {string}
+   */
+  get privateKey () {
+    return this._key.getPrivate('hex')
+  }
+
+  /**
+   * Sign data with the key
+   * @param {Buffer} data Data to sign
+   * @returns {Promise<string>} Signature as a hex string
+   */
+  sign (data) {
+    return Promise.resolve(ec.sign(data, this._key).toDER('hex'))
+  }
+
+  /**
+   * Verify a signature made by any identity
+   * @param {string} signature Signature as a hex string
+   * @param {string} publicKey Public key of the signer as a hex string
+   * @param {Buffer} data      Data that was signed
+   * @returns {Promise<boolean>}
+   */
+  verify (signature, publicKey, data) {
+    try {
+      return Promise.resolve(ec.verify(data, signature, ec.keyFromPublic(publicKey, 'hex')))
+    } catch (e) {
+      return Promise.resolve(false)
+    }
+  }
+
+  /**
+   * Create an identity with a new key pair
+   * @param {string} [id] ID of the identity
+   * @returns {MemoryIdentity}
+   */
+  static create (id) {
+    return new MemoryIdentity(ec.genKeyPair(), id)
+  }
+
+  /**
+   * Create an identity from a private key
+   * @param {string} privateKey Private key as a hex string
+   * @param {string} [id]       ID of the identity
+   * @returns {MemoryIdentity}
+   */
+  static fromPrivateKey (privateKey, id) {
+    return new MemoryIdentity(ec.keyFromPrivate(privateKey, 'hex'), id)
+  }
+}
+
+module.exports = MemoryIdentity
@@ -15,8 +15,8 @@ class LamportClock {
     return new LamportClock(this.id, this.time)
   }
 
-  clone () {
-    return new LamportClock(this.id, this.time)
+  clone (id = this.id) {
+    return new LamportClock(id, this.time)
   }
 
   static compare (a, b) {
@@ -1,11 +1,169 @@
 'use strict'
 
-const ImmutableDBNotDefinedError = () => new Error('ImmutableDB instance not defined')
-const LogNotDefinedError = () => new Error('Log instance not defined')
-const NotALogError = () => new Error('Given argument is not an instance of Log')
+/**
+ * Errors
+ *
+ * @description
+ * Every error thrown by the log is a LogError with a stable `code`
+ * that can be used to tell the failures apart:
+ *
+ *   LogError                        ERR_LOG
+ *   ├─ InvalidArgumentError         ERR_INVALID_ARGUMENT
+ *   │  ├─ ImmutableDBNotDefinedError  ERR_IMMUTABLEDB_NOT_DEFINED
+ *   │  ├─ IpfsNotDefinedError         ERR_IPFS_NOT_DEFINED
+ *   │  ├─ LogNotDefinedError          ERR_LOG_NOT_DEFINED
+ *   │  ├─ NotALogError                ERR_NOT_A_LOG
+ *   │  ├─ InvalidHashError            ERR_INVALID_HASH
+ *   │  └─ InvalidEntryError           ERR_INVALID_ENTRY
+ *   ├─ AccessDeniedError            ERR_ACCESS_DENIED
+ *   ├─ EntryVerificationError       ERR_ENTRY_VERIFICATION
+ *   ├─ InvalidSignatureError        ERR_INVALID_SIGNATURE
+ *   ├─ EntryNotFoundError           ERR_ENTRY_NOT_FOUND
+ *   ├─ BlockNotFoundError           ERR_BLOCK_NOT_FOUND
+ *   ├─ EmptyLogError                ERR_EMPTY_LOG
+ *   ├─ UnsupportedVersionError      ERR_UNSUPPORTED_VERSION
+ *   ├─ UnsupportedFormatError       ERR_UNSUPPORTED_FORMAT
+ *   ├─ FetchTimeoutError            ERR_FETCH_TIMEOUT
+ *   └─ ReplicatorStoppedError       ERR_REPLICATOR_STOPPED
+ */
+
+class LogError extends Error {
+  constructor (message, code = 'ERR_LOG') {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+  }
+}
+
+class InvalidArgumentError extends LogError {
+  constructor (message, code = 'ERR_INVALID_ARGUMENT') {
+    super(message, code)
+  }
+}
+
+class ImmutableDBNotDefinedError extends InvalidArgumentError {
+  constructor () {
+    super('ImmutableDB instance not defined', 'ERR_IMMUTABLEDB_NOT_DEFINED')
+  }
+}
+
+class IpfsNotDefinedError extends InvalidArgumentError {
+  constructor () {
+    super('Ipfs instance not defined', 'ERR_IPFS_NOT_DEFINED')
+  }
+}
+
+class LogNotDefinedError extends InvalidArgumentError {
+  constructor () {
+    super('Log instance not defined', 'ERR_LOG_NOT_DEFINED')
+  }
+}
+
+class NotALogError extends InvalidArgumentError {
+  constructor () {
+    super('Given argument is not an instance of Log', 'ERR_NOT_A_LOG')
+  }
+}
+
+class InvalidHashError extends InvalidArgumentError {
+  constructor (hash, message = `Invalid hash: ${hash}`) {
+    super(message, 'ERR_INVALID_HASH')
+    this.hash = hash
+  }
+}
+
+class InvalidEntryError extends InvalidArgumentError {
+  constructor (message) {
+    super(message, 'ERR_INVALID_ENTRY')
+  }
+}
+
+class AccessDeniedError extends LogError {
+  constructor (message = 'Not allowed to write') {
+    super(message, 'ERR_ACCESS_DENIED')
+  }
+}
+
+// 'rejected' are the entries that didn't verify as { entry, reason }
+class EntryVerificationError extends LogError {
+  constructor (rejected) {
+    super(`Log contains entries that didn't verify: ${rejected.map(e => e.entry.hash).join(', ')}`, 'ERR_ENTRY_VERIFICATION')
+    this.rejected = rejected
+  }
+}
+
+class InvalidSignatureError extends LogError {
+  constructor (entry) {
+    super(`Invalid signature in entry ${entry.hash}`, 'ERR_INVALID_SIGNATURE')
+    this.entry = entry
+  }
+}
+
+class EntryNotFoundError extends LogError {
+  constructor (hash) {
+    super(`Entry not found: ${hash}`, 'ERR_ENTRY_NOT_FOUND')
+    this.hash = hash
+  }
+}
+
+class BlockNotFoundError extends LogError {
+  constructor (hash) {
+    super(`Block not found: ${hash}`, 'ERR_BLOCK_NOT_FOUND')
+    this.hash = hash
+  }
+}
+
+class EmptyLogError extends LogError {
+  constructor () {
+    super(`Can't serialize an empty log`, 'ERR_EMPTY_LOG')
+  }
+}
+
+class UnsupportedVersionError extends LogError {
+  constructor (version) {
+    super(`Unsupported entry version: ${version}`, 'ERR_UNSUPPORTED_VERSION')
+    this.version = version
+  }
+}
+
+// 'kind' is what the format is for, eg. 'entry' or 'block'
+class UnsupportedFormatError extends LogError {
+  constructor (format, kind) {
+    super(`Unsupported ${kind} format: ${format}`, 'ERR_UNSUPPORTED_FORMAT')
+    this.format = format
+  }
+}
+
+class FetchTimeoutError extends LogError {
+  constructor (message, timeout) {
+    super(message, 'ERR_FETCH_TIMEOUT')
+    this.timeout = timeout
+  }
+}
+
+class ReplicatorStoppedError extends LogError {
+  constructor () {
+    super('Replicator stopped', 'ERR_REPLICATOR_STOPPED')
+  }
+}
 
 module.exports = {
+  LogError: LogError,
+  InvalidArgumentError: InvalidArgumentError,
   ImmutableDBNotDefinedError: ImmutableDBNotDefinedError,
+  IpfsNotDefinedError: IpfsNotDefinedError,
   LogNotDefinedError: LogNotDefinedError,
   NotALogError: NotALogError,
+  InvalidHashError: InvalidHashError,
+  InvalidEntryError: InvalidEntryError,
+  AccessDeniedError: AccessDeniedError,
+  EntryVerificationError: EntryVerificationError,
+  InvalidSignatureError: InvalidSignatureError,
+  EntryNotFoundError: EntryNotFoundError,
+  BlockNotFoundError: BlockNotFoundError,
+  EmptyLogError: EmptyLogError,
+  UnsupportedVersionError: UnsupportedVersionError,
+  UnsupportedFormatError: UnsupportedFormatError,
+  FetchTimeoutError: FetchTimeoutError,
+  ReplicatorStoppedError: ReplicatorStoppedError,
 }
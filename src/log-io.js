@@ -5,6 +5,7 @@ const Entry = require('./entry')
 const EntryIO = require('./entry-io')
 const Clock = require('./lamport-clock')
 const LogError = require('./log-errors')
+const Storage = require('./storage')
 const isDefined = require('./utils/is-defined')
 const _uniques = require('./utils/uniques')
 const intersection = require('./utils/intersection')
@@ -14,32 +15,30 @@ const last = (arr, n) => arr.slice(arr.length - n, arr.length)
 
 class LogIO {
   static toMultihash (immutabledb, log) {
-    if (!isDefined(immutabledb)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(log)) throw LogError.LogNotDefinedError()
+    if (!isDefined(immutabledb)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
 
-    if (log.values.length < 1) throw new Error(`Can't serialize an empty log`)
-    // return this._storage.put(this.toBuffer())
-    return immutabledb.object.put(log.toBuffer())
-      .then((dagNode) => dagNode.toJSON().multihash)
+    if (log.values.length < 1) throw new LogError.EmptyLogError()
+    return Storage.toStorage(immutabledb).put(log.toBuffer())
   }
 
   /**
    * Create a log from multihash
-   * @param {IPFS} ipfs - An IPFS instance
+   * @param {IPFS|Storage} ipfs - An IPFS instance or a storage adapter
    * @param {string} hash - Multihash (as a Base58 encoded string) to create the log from
    * @param {Number} [length=-1] - How many items to include in the log
    * @param {function(hash, entry, parent, depth)} onProgressCallback
+   * @param {Function} [sortFn] Function to order the entries with, see sort-fns
    * @returns {Promise<Log>}
    */
-  static fromMultihash (immutabledb, hash, length = -1, exclude, onProgressCallback) {
-    if (!isDefined(immutabledb)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(hash)) throw new Error(`Invalid hash: ${hash}`)
+  static fromMultihash (immutabledb, hash, length = -1, exclude, onProgressCallback, sortFn = Entry.compare) {
+    if (!isDefined(immutabledb)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(hash)) throw new LogError.InvalidHashError(hash)
 
-    return immutabledb.object.get(hash, { enc: 'base58' })
-      .then((dagNode) => JSON.parse(dagNode.toJSON().data))
-    // return immutabledb.get(hash)
+    return Storage.toStorage(immutabledb).get(hash)
+      .then((data) => JSON.parse(data))
       .then((logData) => {
-        if (!logData.heads || !logData.id) throw LogError.NotALogError()
+        if (!logData.heads || !logData.id) throw new LogError.NotALogError()
         return EntryIO.fetchAll(immutabledb, logData.heads, length, exclude, null, onProgressCallback)
           .then((entries) => {
             // Find latest clock
@@ -49,7 +48,7 @@ class LogIO {
               }
               return clock
             }, new Clock(logData.id))
-            const finalEntries = entries.slice().sort(Entry.compare)
+            const finalEntries = entries.slice().sort(sortFn)
             const heads = finalEntries.filter(e => logData.heads.includes(e.hash))
             return {
               id: logData.id,
@@ -62,8 +61,8 @@ class LogIO {
   }
 
   static fromEntryHash (ipfs, entryHash, id, length = -1, exclude, onProgressCallback) {
-    if (!isDefined(ipfs)) throw LogError.IpfsNotDefinedError()
-    if (!isDefined(entryHash)) throw new Error("'entryHash' must be defined")
+    if (!isDefined(ipfs)) throw new LogError.IpfsNotDefinedError()
+    if (!isDefined(entryHash)) throw new LogError.InvalidHashError(entryHash, "'entryHash' must be defined")
 
     // Fetch given length, return size at least the given input entries
     length = length > -1 ? Math.max(length, 1) : length
@@ -82,8 +81,8 @@ class LogIO {
       })
   }
 
-  static fromJSON (ipfs, json, length = -1, key, timeout, onProgressCallback) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
+  static fromJSON (ipfs, json, length = -1, identity, timeout, onProgressCallback, sortFn = Entry.compare) {
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
 
     const mapper = (e, idx) => {
       return Entry.create(ipfs, keystore, e.id, e.payload, e.next, e.clock, e.key)
@@ -95,7 +94,7 @@ class LogIO {
 
     return EntryIO.fetchParallel(ipfs, json.heads.map(e => e.hash), length, [], 16, timeout, onProgressCallback)
       .then((entries) => {
-        const finalEntries = entries.slice().sort(Entry.compare)
+        const finalEntries = entries.slice().sort(sortFn)
         const heads = entries.filter(e => json.heads.includes(e.hash))
         return {
           id: json.id,
@@ -107,20 +106,21 @@ class LogIO {
 
   /**
    * Create a new log starting from an entry
-   * @param {IPFS} ipfs An IPFS instance
+   * @param {IPFS|Storage} ipfs An IPFS instance or a storage adapter
    * @param {Array<Entry>} entries An entry or an array of entries to fetch a log from
    * @param {Number} [length=-1] How many entries to include. Default: infinite.
    * @param {Array<Entry|string>} [exclude] Entries to not fetch (cached)
    * @param {function(hash, entry, parent, depth)} [onProgressCallback]
+   * @param {Function} [sortFn] Function to order the entries with, see sort-fns
    * @returns {Promise<Log>}
    */
-  static fromEntry (immutabledb, sourceEntries, length = -1, exclude, key, keys, onProgressCallback) {
-    if (!isDefined(immutabledb)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(sourceEntries)) throw new Error("'sourceEntries' must be defined")
+  static fromEntry (immutabledb, sourceEntries, length = -1, exclude, onProgressCallback, sortFn = Entry.compare) {
+    if (!isDefined(immutabledb)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(sourceEntries)) throw new LogError.InvalidArgumentError("'sourceEntries' must be defined")
 
     // Make sure we only have Entry objects as input
     if (!Array.isArray(sourceEntries) && !Entry.isEntry(sourceEntries)) {
-      throw new Error(`'sourceEntries' argument must be an array of Entry instances or a single Entry`)
+      throw new LogError.InvalidEntryError(`'sourceEntries' argument must be an array of Entry instances or a single Entry`)
     }
 
     if (!Array.isArray(sourceEntries)) {
@@ -137,7 +137,7 @@ class LogIO {
     return EntryIO.fetchParallel(immutabledb, hashes, length, excludeHashes, null, null, onProgressCallback)
       .then((entries) => {
         var combined = sourceEntries.concat(entries)
-        var uniques = _uniques(combined, 'hash').sort(Entry.compare)
+        var uniques = _uniques(combined, 'hash').sort(sortFn)
 
         // Cap the result at the right size by taking the last n entries
         const sliced = uniques.slice(length > -1 ? -length : -uniques.length)
@@ -171,9 +171,9 @@ class LogIO {
    * @return {[Log]}         [description]
    */
   static expandFrom (ipfs, log, entries, amount = -1) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(log)) throw LogError.LogNotDefinedError()
-    if (!isDefined(entries)) throw new Error(`'entries' must be given as argument`)
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
+    if (!isDefined(entries)) throw new LogError.InvalidArgumentError(`'entries' must be given as argument`)
 
     if (!Array.isArray(entries)) {
       entries = [entries]
@@ -200,9 +200,9 @@ class LogIO {
       })
   }
 
-  static expand (ipfs, log, amount = -1) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(log)) throw LogError.LogNotDefinedError()
+  static expand (ipfs, log, amount = -1, sortFn = Entry.compare) {
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
 
     // If we don't have any tails, we can't expand anymore
     if (log.tailHashes.length === 0) {
@@ -215,7 +215,7 @@ class LogIO {
         const size = amount > -1 ? (log.values.length + amount) : -1
 
         // Join the fetched entries with the log to order them first
-        const combined = log.values.concat(entries).sort(Entry.compare)
+        const combined = log.values.concat(entries).sort(sortFn)
         const sliced = (size > -1 ? combined.slice(-size) : combined.slice())
 
         // Because the clocks can vary drastically, we need to make sure that
@@ -226,9 +226,9 @@ class LogIO {
         // 3) Entries that are in both
 
         // These together are the entries we need to put back in
-        const missingOldEntries = difference(sliced, log.values, 'hash').sort(Entry.compare)
-        const withoutOldEntries = difference(log.values, sliced, 'hash').sort(Entry.compare)
-        const entryIntersection = intersection(log.values, sliced, 'hash').sort(Entry.compare)
+        const missingOldEntries = difference(sliced, log.values, 'hash').sort(sortFn)
+        const withoutOldEntries = difference(log.values, sliced, 'hash').sort(sortFn)
+        const entryIntersection = intersection(log.values, sliced, 'hash').sort(sortFn)
 
         // Calculate how many entries we keep from the remaining new entries
         const length = size - (entryIntersection.length + missingOldEntries.length)
@@ -239,7 +239,7 @@ class LogIO {
           var combined = []
           combined = a.concat(b)
           var uniques = _uniques(combined, 'hash')
-          return uniques.sort(Entry.compare)
+          return uniques.sort(sortFn)
         }
 
         const merged = merge(missingOldEntries, merge(entryIntersection, remainingNewEntries))
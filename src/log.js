@@ -4,19 +4,141 @@ const pMap = require('p-map')
 const GSet = require('./g-set')
 const Entry = require('./entry')
 const LogIO = require('./log-io')
+const EntryIO = require('./entry-io')
+const EntryIndex = require('./entry-index')
+const Reconcile = require('./reconcile')
 const LogError = require('./log-errors')
+const Storage = require('./storage')
+const AccessControllers = require('./access-controllers')
+const Identities = require('./identities')
+const Encryption = require('./encryption')
+const Codecs = require('./entry-codecs')
+const Compression = require('./compression')
 const Clock = require('./lamport-clock')
+const { VectorClock } = require('./clocks')
+const SortFns = require('./sort-fns')
 const isDefined = require('./utils/is-defined')
 const _uniques = require('./utils/uniques')
 
 const randomId = () => new Date().getTime().toString()
 
+// Replicas of the same log are created at the same time, their IDs need more than the time
+const randomReplicaId = () => `${randomId()}-${Math.random().toString(36).slice(2)}`
+
+// Function to order the entries of a log with, see options.sortFn
+const toSortFn = (options) => {
+  return options && options.sortFn ? SortFns.withHashTiebreak(options.sortFn) : Entry.compare
+}
+
+// Vector clock of an entry, see clocks/vector-clock
+const toVectorClock = (entry) => {
+  if (!entry.clock.vector) {
+    throw new LogError.InvalidArgumentError(`Entry ${entry.hash} doesn't have a vector clock`)
+  }
+  return entry.clock
+}
+
+// Reasons for rejecting an entry, see verifyEntries
+const RejectReasons = Object.freeze({
+  MissingKey: 'missing-key',
+  MissingSignature: 'missing-signature',
+  WrongId: 'wrong-id',
+  LegacySignature: 'legacy-signature',
+  NotAllowed: 'not-allowed',
+  InvalidSignature: 'invalid-signature',
+})
+
+// Whether a log only accepts entries written with its ID, see options.strictId.
+// By default, logs that only their owner can write to do.
+const checksId = (log) => {
+  if (isDefined(log._options.strictId)) return log._options.strictId
+  const keys = log._access.keys
+  return Array.isArray(keys) && keys.length === 1 && keys[0] === log._identity.publicKey
+}
+
+// Whether the signature of an entry doesn't cover all of the entry,
+// see options.legacySignatures and entry-codecs/
+const isLegacySigned = (entry) => Codecs.isSupported(entry.v) && !Codecs.get(entry.v).signsDigest
+
+// Verify the entries with the identity and the access controller of
+// a log, returns the rejected entries as { entry, reason }
+const verifyEntries = async (entries, log) => {
+  const verify = async (entry) => {
+    if (!entry.key) return RejectReasons.MissingKey
+    if (!entry.sig) return RejectReasons.MissingSignature
+    if (checksId(log) && entry.id !== log.id) return RejectReasons.WrongId
+    if (isLegacySigned(entry) && !log._options.legacySignatures) return RejectReasons.LegacySignature
+    const canAppend = await log._access.canAppend(entry, { publicKey: entry.key })
+    if (!canAppend) return RejectReasons.NotAllowed
+    try {
+      await Entry.verifyEntry(entry, log._identity)
+    } catch (e) {
+      return RejectReasons.InvalidSignature
+    }
+    return null
+  }
+
+  const reasons = await pMap(entries, verify)
+  return entries
+    .map((entry, idx) => ({ entry: entry, reason: reasons[idx] }))
+    .filter(e => e.reason !== null)
+}
+
+// Index of the hashes of rejected entries
+const toRejectedIndex = (rejected) => rejected.reduce((res, e) => {
+  res[e.entry.hash] = true
+  return res
+}, {})
+
+// Verify the entries of a loaded log that are not in the 'verified' log.
+// Invalid entries fail the load or are dropped, see options.invalidEntries.
+const verifyLoaded = async (log, verified) => {
+  if (!log._identity) return log
+
+  const entries = verified ? log.values.filter(e => !verified.has(e)) : log.values
+  const rejected = await verifyEntries(entries, log)
+  if (rejected.length === 0) return log
+
+  if (log._options.invalidEntries !== 'drop') {
+    throw new LogError.EntryVerificationError(rejected)
+  }
+
+  const isRejected = toRejectedIndex(rejected)
+  // The heads are found again, entries that were only referenced
+  // by the dropped entries become heads
+  const values = log.values.filter(e => !isRejected[e.hash])
+  return new Log(log._storage, log.id, values, null, log.clock, log._identity, log._access, log._options)
+}
+
+// Decrypt the payloads of the entries of a loaded log
+const decryptLoaded = async (log) => {
+  if (!log._encryption) return log
+
+  const values = await pMap(log.values, e => Entry.decrypt(e, log._encryption))
+  const decrypted = values.reduce((res, e) => {
+    res[e.hash] = e
+    return res
+  }, {})
+  const heads = log.heads.map(e => decrypted[e.hash] || e)
+  return new Log(log._storage, log.id, values, heads, log.clock, log._identity, log._access, log._options)
+}
+
 /**
  * Log
  *
  * @description
  * Log implements a G-Set CRDT and adds ordering
  *
+ * Events:
+ *
+ *   'append' (entry)              An entry was appended
+ *   'join' (entries)              Entries were added by a join
+ *   'heads' (oldHeads, newHeads)  The heads changed
+ *   'rejected' (entries)          Entries of a join didn't verify, the logs weren't joined
+ *                                 or the entries were quarantined, see options.partialJoin
+ *
+ * Entries of a signed log are rejected for the reasons in Log.RejectReasons.
+ *
  * From:
  * "A comprehensive study of Convergent and Commutative Replicated Data Types"
  * https://hal.inria.fr/inria-00555588
@@ -24,42 +146,86 @@ const randomId = () => new Date().getTime().toString()
 class Log extends GSet {
   /**
    * Create a new Log instance
-   * @param  {IPFS}           ipfs    An IPFS instance
+   * @param  {IPFS|Storage}   ipfs    An IPFS instance or a storage adapter
    * @param  {String}         id      ID of the log
    * @param  {[Array<Entry>]} entries An Array of Entries from which to create the log from
    * @param  {[Array<Entry>]} heads   Set the heads of the log
-   * @param  {[Clock]}        clock   Set the clock of the log
+   * @param  {[Clock]}        clock   Set the clock of the log, see clocks/
+   * @param  {[Identity|Key]} identity Identity to sign the entries with, see identities/. Keys
+   * are used with the keystore of the storage if it has one.
+   * @param  {[AccessController|Array<string>]} access Access controller, or public keys that are allowed to write to the log
+   * @param  {[Object]}       options Options for the log
+   * @param  {[Number]}       options.version Entry format version to write new entries as.
+   * Default: 2 if the log is signed, 0 otherwise
+   * @param  {[string]}       options.invalidEntries What to do with entries that don't verify when
+   * loading a signed log: 'fail' (default) to throw an error, 'drop' to leave them out of the log
+   * @param  {[boolean]}      options.strictId Only accept entries that were written with the ID of this log.
+   * Default: true if the identity of the log is the only one that can write to it, false otherwise
+   * @param  {[boolean]}      options.legacySignatures Accept signed entries of versions whose signature
+   * doesn't cover all of the entry, ie. version 0. Default: false
+   * @param  {[boolean]}      options.partialJoin Join the entries that verify and quarantine the rejected
+   * entries, instead of not joining the logs, see Log.quarantine
+   * @param  {[Encryption|Buffer|Function]} options.encryption Encryption, or a key or key provider, to encrypt
+   * the payloads of new entries with and to decrypt the payloads of loaded and joined entries, see encryption/
+   * @param  {[boolean]}      options.allowPlaintext Store the payloads of new entries unencrypted if the
+   * encryption has no recipients, instead of failing to append. Default: false
+   * @param  {[Number]}       options.maxInlineSize Store payloads of new entries larger than this (bytes) in
+   * blocks of their own, see Log.loadPayload
+   * @param  {[Number]}       options.chunkSize Max size of a payload block (bytes)
+   * @param  {[Function]}     options.clockType Type of clock to use for new entries, eg. HybridLogicalClock or VectorClock.
+   * Default: LamportClock, see clocks/
+   * @param  {[string]}       options.replicaId ID this replica counts its entries with in the vector clocks
+   * of an unsigned log, signed logs use the ID of the identity. Default: a random ID.
+   * @param  {[Function]}     options.sortFn Function to order the entries with, ties are broken
+   * by the hashes of the entries. Default: Entry.compare, see sort-fns
+   * @param  {[string]}       options.compression Codec to compress the payloads of new entries with,
+   * eg. 'deflate' or 'brotli', see compression/. Throws if the codec isn't available.
    * @return {Log}            Log
    */
-  constructor (ipfs, id, entries, heads, clock, key, keys = []) {
+  constructor (ipfs, id, entries, heads, clock, identity, access, options = {}) {
     if (!isDefined(ipfs)) {
-      throw LogError.ImmutableDBNotDefinedError()
+      throw new LogError.ImmutableDBNotDefinedError()
     }
 
     if (isDefined(entries) && !Array.isArray(entries)) {
-      throw new Error(`'entries' argument must be an array of Entry instances`)
+      throw new LogError.InvalidEntryError(`'entries' argument must be an array of Entry instances`)
     }
 
     if (isDefined(heads) && !Array.isArray(heads)) {
-      throw new Error(`'heads' argument must be an array`)
+      throw new LogError.InvalidArgumentError(`'heads' argument must be an array`)
     }
 
     super()
 
-    this._storage = ipfs
+    // The static loaders pass null when no options are given
+    options = options || {}
+
+    this._storage = Storage.toStorage(ipfs)
     this._id = id || randomId()
 
     // Signing related setup
-    this._keystore = this._storage.keystore
-    this._key = key
-    this._keys = Array.isArray(keys) ? keys : [keys]
+    this._identity = Identities.toIdentity(identity, this._storage.keystore)
+    this._access = AccessControllers.toAccessController(access)
+
+    // Entries rejected by partial joins as { entry, reason } by hash
+    this._quarantine = {}
+
+    // Options that are passed on to logs created from this log
+    this._options = options
+
+    // Entry format version for new entries
+    this._version = options.version
+
+    // Encryption of the payloads
+    this._encryption = Encryption.toEncryption(options.encryption)
+
+    // Fail early if the compression codec isn't available, eg. 'brotli' before Node.js 11.7
+    if (isDefined(options.compression)) Compression.get(options.compression)
 
     // Add entries to the internal cache
     entries = entries || []
-    this._entryIndex = entries.reduce((res, val) => {
-      res[val.hash] =  val
-      return res
-    }, {})
+    this._sortFn = toSortFn(options)
+    this._entryIndex = new EntryIndex(entries, this._sortFn)
 
     // Set heads if not passed as an argument
     heads = heads || Log.findHeads(entries)
@@ -68,12 +234,14 @@ class Log extends GSet {
       return res
     }, {})
 
-    // Set the length, we calculate the length manually internally
-    this._length = entries ? entries.length : 0
+    // Writer of the new entries in vector clocks, see append
+    this._replicaId = options.replicaId || randomReplicaId()
 
-    // Set the clock
-    const maxTime = Math.max(clock ? clock.time : 0, this.heads.reduce((res, acc) => Math.max(res, acc.clock.time), 0))
-    this._clock = new Clock(this.id, maxTime)
+    // Set the clock (find the latest clock)
+    const ClockType = options.clockType || Clock
+    this._clock = new ClockType(this.id)
+    if (clock) this._clock.merge(clock)
+    this.heads.forEach(e => this._clock.merge(e.clock))
   }
 
   /**
@@ -92,12 +260,20 @@ class Log extends GSet {
     return this._clock
   }
 
+  /**
+   * Returns the storage adapter the entries of the log are stored in, see storage/
+   * @returns {Storage}
+   */
+  get storage () {
+    return this._storage
+  }
+
   /**
    * Returns the length of the log
    * @return {Number} Length
    */
   get length () {
-    return this._length
+    return this._entryIndex.length
   }
 
   /**
@@ -105,7 +281,15 @@ class Log extends GSet {
    * @returns {Array<Entry>}
    */
   get values () {
-    return Object.values(this._entryIndex).sort(Entry.compare) || []
+    return this._entryIndex.values
+  }
+
+  /**
+   * Returns the latest entry in the log
+   * @returns {Entry|undefined}
+   */
+  get last () {
+    return this._entryIndex.last
   }
 
   /**
@@ -140,107 +324,175 @@ class Log extends GSet {
    * @returns {Entry|undefined}
    */
   get (hash) {
-    return this._entryIndex[hash]
+    return this._entryIndex.get(hash)
   }
 
   has (entry) {
-    return this._entryIndex[entry.hash || entry] !== undefined
+    return this._entryIndex.has(entry.hash || entry)
+  }
+
+  /**
+   * Returns a section of the values in the log
+   * @param {Number} [start] Position to start from, see Array.slice
+   * @param {Number} [end]   Position to end at, see Array.slice
+   * @returns {Array<Entry>}
+   */
+  slice (start, end) {
+    return this._entryIndex.slice(start, end)
+  }
+
+  /**
+   * Iterate over the entries of the log
+   *
+   * @description
+   * The range is looked up from the sorted entries, so only the entries
+   * that are returned are visited. Bounds can be given as entry hashes,
+   * which are compared by their position in the log, or as Lamport
+   * clock times, which select the entries with clock times in the range
+   * if the log has another options.sortFn.
+   *
+   * @param {Object}        [options]
+   * @param {string|Number} [options.gt]    Entries after this entry or clock time
+   * @param {string|Number} [options.gte]   Entries after and including this entry or clock time
+   * @param {string|Number} [options.lt]    Entries before this entry or clock time
+   * @param {string|Number} [options.lte]   Entries before and including this entry or clock time
+   * @param {Number}        [options.limit=-1]      How many entries to return. Default: all.
+   * @param {boolean}       [options.reverse=false] Iterate from the newest entry to the oldest
+   *
+   * @example
+   * // Latest 20 entries, newest first
+   * for await (const entry of log.iterator({ limit: 20, reverse: true })) {
+   *   console.log(entry.payload)
+   * }
+   *
+   * @returns {AsyncIterator<Entry>}
+   */
+  async * iterator ({ gt, gte, lt, lte, limit = -1, reverse = false } = {}) {
+    const toBound = (value) => {
+      if (!isDefined(value) || typeof value === 'number') return value
+      const entry = this.get(value)
+      if (!entry) throw new LogError.EntryNotFoundError(value)
+      return entry
+    }
+
+    // Compare an entry to a bound that is either an entry or a clock time
+    const compareToBound = (entry, bound) => {
+      if (typeof bound === 'number') return entry.clock.time - bound
+      return entry.hash === bound.hash ? 0 : this._sortFn(entry, bound)
+    }
+
+    // Entries are ordered by clock time only with the default sort function,
+    // with others the clock times are filtered from the range of the entry bounds
+    const isPosition = (bound) => isDefined(bound)
+      && (typeof bound !== 'number' || this._sortFn === Entry.compare)
+
+    const lower = toBound(isDefined(gt) ? gt : gte)
+    const upper = toBound(isDefined(lt) ? lt : lte)
+    const isAboveLower = (entry) => !isDefined(lower)
+      || (isDefined(gt) ? compareToBound(entry, lower) > 0 : compareToBound(entry, lower) >= 0)
+    const isAboveUpper = (entry) => isDefined(upper)
+      && (isDefined(lt) ? compareToBound(entry, upper) >= 0 : compareToBound(entry, upper) > 0)
+
+    const start = this._entryIndex.findIndex(e => !isPosition(lower) || isAboveLower(e))
+    const end = Math.max(this._entryIndex.findIndex(e => isPosition(upper) && isAboveUpper(e)), start)
+    let entries = this._entryIndex.slice(start, end)
+      .filter(e => isAboveLower(e) && !isAboveUpper(e))
+
+    // The limit counts from the end the iteration starts from
+    if (limit > -1) {
+      entries = reverse
+        ? entries.slice(Math.max(entries.length - limit, 0))
+        : entries.slice(0, limit)
+    }
+
+    if (reverse) entries.reverse()
+
+    for (const entry of entries) {
+      yield entry
+    }
   }
 
   /**
    * Append an entry to the log
    * @param  {Entry} entry Entry to add
+   * @param  {Object} [options]
+   * @param  {Array<string>} [options.recipients] Public keys of the only ones that can read
+   * the payload, see RecipientEncryption
    * @return {Log}   New Log containing the appended value
    */
-  async append (data) {
+  async append (data, options = {}) {
     // Verify that we're allowed to append
-    if (this._key 
-        && !this._keys.includes(this._key.getPublic('hex')) 
-        && !this._keys.includes('*')) {
-      throw new Error("Not allowed to write")
+    if (this._identity) {
+      const entry = { id: this.id, payload: data, next: this.heads.map(e => e.hash) }
+      const canAppend = await this._access.canAppend(entry, this._identity)
+      if (!canAppend) throw new LogError.AccessDeniedError()
     }
 
     // Update the clock (find the latest clock)
-    const newTime = Math.max(this.clock.time, this.heads.reduce((res, acc) => Math.max(res, acc.clock.time), 0)) + 1
-    this._clock = new Clock(this.clock.id, newTime)
+    const clock = this.clock.clone()
+    this.heads.forEach(e => clock.merge(e.clock))
+    // Writers of a signed log are counted by identity in vector clocks,
+    // replicas of an unsigned log count their own entries
+    this._clock = clock.tick(this._identity ? this._identity.id : this._replicaId)
     // Create the entry and add it to the internal cache
-    const entry = await Entry.create(this._storage, this.id, data, Object.values(this._headsIndex), this.clock, this._key)
-    this._entryIndex[entry.hash] = entry
-    this._headsIndex = {}
+    const entry = await Entry.create(this._storage, this.id, data, Object.values(this._headsIndex), this.clock, this._identity, {
+      version: this._version,
+      encryption: this._encryption,
+      recipients: options.recipients,
+      allowPlaintext: this._options.allowPlaintext,
+      maxInlineSize: this._options.maxInlineSize,
+      chunkSize: this._options.chunkSize,
+      compression: this._options.compression,
+    })
+    this._entryIndex.add(entry)
+    const oldHeads = this.heads
+    // Keep the heads that were joined while the entry was created
+    this._headsIndex = oldHeads
+      .filter(e => !entry.next.includes(e.hash))
+      .reduce((res, val) => {
+        res[val.hash] = val
+        return res
+      }, {})
     this._headsIndex[entry.hash] = entry
-    // Update the length
-    this._length ++
+    this.emit('append', entry)
+    this.emit('heads', oldHeads, this.heads)
     return entry
   }
 
   /**
    * Join two logs
    *
-   * @description Joins two logs returning a new log. Doesn't mutate the original logs.
+   * @description
+   * Adds the entries of the other log to this log. Doesn't mutate the other log.
+   * If this log is signed and any of the new entries is rejected, no entries
+   * are added, or with options.partialJoin, the other entries are added and
+   * the rejected entries are quarantined.
    *
-   * @param {IPFS}   [ipfs] An IPFS instance
    * @param {Log}    log    Log to join with this Log
    * @param {Number} [size] Max size of the joined log
    * @param {string} [id]   ID to use for the new log
    *
    * @example
-   * log1.join(log2)
+   * const { added, rejected } = await log1.join(log2)
+   * rejected.forEach(({ entry, reason }) => console.log(entry.hash, reason))
    *
-   * @returns {Promise<Log>}
+   * @returns {Promise<Object<{added, rejected}>>} The entries that were added, and the
+   * entries that were rejected as { entry, reason }, see Log.RejectReasons
    */
   async join (log, size = -1, id) {
-    if (!isDefined(log)) throw LogError.LogNotDefinedError()
-    if (!Log.isLog(log)) throw LogError.NotALogError()
-
-    // Verify the entries
-    // TODO: move to Entry
-    const verifyEntries = async (entries) => {
-      const checkAllKeys = (keys, entry) => keys.find(e => e === entry.key)
-      const pubkeys = this._keys.map(e => e.getPublic ? e.getPublic('hex') : e)
-
-      const checked = await pMap(entries, async (entry) => {
-        if (!entry.key) throw new Error("Entry doesn't have a public key")
-        if (!entry.sig) throw new Error("Entry doesn't have a signature")
-
-        if (this._keys.length === 1 && this._keys[0] === this._key ) {
-          if (entry.id !== this.id) 
-            throw new Error("Entry doesn't belong in this log (wrong ID)")
-        }
-
-        if (this._keys.length > 0 
-            && !this._keys.includes('*') 
-            && !checkAllKeys(this._keys.concat([this._key]), entry)) {
-          console.warn("Warning: Input log contains entries that are not allowed in this log. Logs weren't joined.")
-          return false
-        }
-
-        try {
-          await Entry.verifyEntry(entry, this._keystore)
-        } catch (e) {
-          console.log(e)
-          console.log("Couldn't verify entry:\n", entry)
-          return false
-        }
-
-        return true
-      })
-
-      return checked.every(e => e === true)
-    }
-
-    const arrayOfEntriesToObject = (res, val) => {
-      res[val.hash] = val
-      return res
-    }
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
+    if (!Log.isLog(log)) throw new LogError.NotALogError()
 
+    // Traverse the other log from its heads until reaching entries
+    // that are already in this log, so only the new entries are visited
     const difference = (log, exclude) => {
       let stack = Object.keys(log._headsIndex)
       let traversed = {}
       let res = {}
       while (stack.length > 0) {
-        const hash = stack.shift()
+        const hash = stack.pop()
         const entry = log.get(hash)
-          if (entry && !exclude.get(hash)) {
+        if (entry && !exclude.get(hash)) {
           res[entry.hash] = entry
           traversed[entry.hash] = true
           entry.next.forEach(hash => {
@@ -260,39 +512,165 @@ class Log extends GSet {
     // Merge the entries
     const newItems = difference(log, this)
 
-    // if a key was given, verify the entries from the incoming log
-    if (this._key) {
-      const canJoin = await verifyEntries(Object.values(newItems))
-      // Return early if any of the given entries didn't verify
-      if (!canJoin)
-        return this
+    // Decrypt the new entries, the other log may not have the key
+    if (this._encryption) {
+      const decrypted = await pMap(Object.values(newItems), e => Entry.decrypt(e, this._encryption))
+      decrypted.forEach(e => newItems[e.hash] = e)
     }
 
-    // Update the internal index
-    this._entryIndex = Object.assign(this._entryIndex, newItems)
+    const newEntries = Object.values(newItems)
+
+    // if an identity was given, verify the entries from the incoming log
+    let rejected = []
+    if (this._identity) {
+      rejected = await verifyEntries(newEntries, this)
+      if (rejected.length > 0) {
+        this.emit('rejected', rejected.map(e => e.entry))
+        // Return early if any of the given entries didn't verify,
+        // unless the valid entries are joined without them
+        if (!this._options.partialJoin) {
+          return { added: [], rejected: rejected }
+        }
+        rejected.forEach(e => this._quarantine[e.entry.hash] = e)
+      }
+    }
+
+    const isRejected = toRejectedIndex(rejected)
+    const added = newEntries.filter(e => !isRejected[e.hash])
+    added.forEach(e => delete this._quarantine[e.hash])
 
-    // Update the length
-    this._length += Object.values(newItems).length
+    // Only the heads of the other log and the entries that were referenced
+    // by the rejected entries can be new heads
+    const isAdded = e => newItems[e.hash] !== undefined && !isRejected[e.hash]
+    const heads = log.heads.filter(isAdded).map(e => newItems[e.hash])
+    rejected.forEach(e => e.entry.next
+      .map(hash => newItems[hash])
+      .filter(e => isDefined(e) && isAdded(e))
+      .forEach(e => heads.push(e)))
+
+    this._merge(added, heads, size, id)
+
+    return { added: added, rejected: rejected }
+  }
+
+  /**
+   * Load the payload of an entry that was stored out of line
+   *
+   * @description
+   * Payloads larger than options.maxInlineSize are stored in blocks of their
+   * own and loaded only when they're asked for, so loading and replicating
+   * the log doesn't fetch them. The payload is decrypted with the encryption
+   * of the log.
+   *
+   * @param {Entry} entry Entry of the log
+   *
+   * @example
+   * const entry = await log.loadPayload(log.values[0])
+   * console.log(entry.payload)
+   *
+   * @returns {Promise<Entry>} Copy of the entry with the payload
+   */
+  loadPayload (entry) {
+    return Entry.loadPayload(this._storage, entry, { encryption: this._encryption })
+  }
+
+  /**
+   * Returns the entries that were rejected by a partial join
+   * @returns {Array<Object<{entry, reason}>>}
+   */
+  get quarantine () {
+    return Object.values(this._quarantine)
+  }
+
+  /**
+   * Verify the quarantined entries again and add the ones that verify
+   * to the log, eg. after the access controller allowed their writers
+   *
+   * @returns {Promise<Object<{added, rejected}>>} The entries that were added,
+   * and the entries that are still quarantined as { entry, reason }
+   */
+  async retryQuarantine () {
+    const entries = this.quarantine.map(e => e.entry)
+    const rejected = this._identity ? await verifyEntries(entries, this) : []
+    rejected.forEach(e => this._quarantine[e.entry.hash] = e)
+
+    const isRejected = toRejectedIndex(rejected)
+    const added = entries.filter(e => !isRejected[e.hash])
+    added.forEach(e => delete this._quarantine[e.hash])
+
+    // Entries that were joined while the added entries were quarantined
+    // can reference them
+    const references = {}
+    this.values.forEach(e => e.next.forEach(hash => references[hash] = true))
+    const heads = added.filter(e => !references[e.hash])
+
+    this._merge(added, heads)
+
+    return { added: added, rejected: rejected }
+  }
+
+  // Add verified entries to the log and merge the heads. Only the added
+  // entries can reference the current heads and only the given heads,
+  // which must be added entries, can become new heads.
+  _merge (entries, heads, size = -1, id = this.id) {
+    const arrayOfEntriesToObject = (res, val) => {
+      res[val.hash] = val
+      return res
+    }
+
+    // Update the internal index
+    this._entryIndex.merge(entries)
 
     // Slice to the requested size
     if (size > -1) {
-      let tmp = this.values
-      tmp = tmp.slice(-size)
-      this._entryIndex = tmp.reduce(arrayOfEntriesToObject, {})
-      this._length = Object.values(this._entryIndex).length
+      this._entryIndex.truncate(size)
     }
 
     // Merge the heads
-    const mergedHeads = Log.findHeads(Object.values(Object.assign({}, this._headsIndex, log._headsIndex)))
+    const references = {}
+    entries.forEach(e => e.next.forEach(hash => references[hash] = true))
+    const isHead = e => !references[e.hash]
+    const newHeads = heads.filter(isHead)
+    const oldHeads = this.heads
+    const mergedHeads = Log.findHeads(_uniques(this.heads.filter(isHead).concat(newHeads), 'hash'))
     this._headsIndex = mergedHeads.reduce(arrayOfEntriesToObject, {})
 
     // Find the latest clock from the heads
-    const maxClock = Object.values(this._headsIndex).reduce((res, val) => res = Math.max(res, val.clock.time), 0)
-    const clock = new Clock(this.id, Math.max(this.clock.time, maxClock))
+    const clock = this.clock.clone(this.id)
+    Object.values(this._headsIndex).forEach(e => clock.merge(e.clock))
 
     this._id = id
     this._clock = clock
-    return this
+
+    if (entries.length > 0) {
+      this.emit('join', entries)
+    }
+
+    const headsChanged = oldHeads.length !== mergedHeads.length
+      || oldHeads.some(e => this._headsIndex[e.hash] === undefined)
+    if (headsChanged) {
+      this.emit('heads', oldHeads, this.heads)
+    }
+  }
+
+  /**
+   * Find out which entries this log and a remote replica are missing
+   *
+   * @description
+   * Exchanges hashes with the remote in rounds instead of fetching the
+   * remote log. See Reconcile for the remote interface.
+   *
+   * @param {Object}        remote          Remote interface of the other replica
+   * @param {Object}        [options]
+   * @param {Array<string>} [options.heads] Heads of the remote, if already known
+   *
+   * @example
+   * const { have, want } = await log1.reconcile(Reconcile.toRemote(log2))
+   *
+   * @returns {Promise<Object<{have, want, rounds}>>}
+   */
+  reconcile (remote, options) {
+    return Reconcile.reconcile(this, remote, options)
   }
 
   /**
@@ -330,11 +708,12 @@ class Log extends GSet {
    * @returns {string}
    */
   toString (payloadMapper) {
-    return this.values
+    const values = this.values
+    return values
       .slice()
       .reverse()
       .map((e, idx) => {
-        const parents = Entry.findChildren(e, this.values)
+        const parents = Entry.findChildren(e, values)
         const len = parents.length
         let padding = new Array(Math.max(len - 1, 0))
         padding = len > 1 ? padding.fill('  ') : padding
@@ -344,6 +723,23 @@ class Log extends GSet {
       .join('\n')
   }
 
+  /**
+   * Reasons for rejecting an entry of a signed log:
+   *
+   *   'missing-key'         The entry doesn't have a public key
+   *   'missing-signature'   The entry doesn't have a signature
+   *   'wrong-id'            The entry was written to another log, see options.strictId
+   *   'legacy-signature'    The signature of the entry's version doesn't cover all of the entry,
+   *                         see options.legacySignatures
+   *   'not-allowed'         The access controller doesn't allow the writer
+   *   'invalid-signature'   The signature doesn't verify
+   *
+   * @returns {Object}
+   */
+  static get RejectReasons () {
+    return RejectReasons
+  }
+
   /**
    * Check whether an object is a Log instance
    * @param {Object} log An object to check
@@ -365,105 +761,190 @@ class Log extends GSet {
 
   /**
    * Create a log from multihash
-   * @param {IPFS}   ipfs        An IPFS instance
+   * @param {IPFS|Storage} ipfs  An IPFS instance or a storage adapter
    * @param {string} hash        Multihash (as a Base58 encoded string) to create the log from
    * @param {Number} [length=-1] How many items to include in the log
+   * @param {Array<Entry|string>} [exclude] Entries or hashes to not fetch
+   * @param {Identity|Key} [identity] Identity to sign new entries with
    * @param {Function(hash, entry, parent, depth)} onProgressCallback
+   * @param {Object} [options]   Options for the log, see constructor
+   * @param {AccessController|Array<string>} [access] Access controller or public keys, see constructor
    * @return {Promise<Log>}      New Log
    */
-  static fromMultihash (ipfs, hash, length = -1, exclude, key, onProgressCallback) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(hash)) throw new Error(`Invalid hash: ${hash}`)
-
-    // TODO: need to verify the entries with 'key'
-    return LogIO.fromMultihash(ipfs, hash, length, exclude, onProgressCallback)
-      .then((data) => new Log(ipfs, data.id, data.values, data.heads, data.clock, key))
+  static fromMultihash (ipfs, hash, length = -1, exclude, identity, onProgressCallback, options, access) {
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(hash)) throw new LogError.InvalidHashError(hash)
+
+    return LogIO.fromMultihash(ipfs, hash, length, exclude, onProgressCallback, toSortFn(options))
+      .then((data) => new Log(ipfs, data.id, data.values, data.heads, data.clock, identity, access, options))
+      .then((log) => decryptLoaded(log))
+      .then((log) => verifyLoaded(log))
   }
 
   /**
    * Create a log from a single entry's multihash
-   * @param {IPFS}   ipfs        An IPFS instance
+   * @param {IPFS|Storage} ipfs  An IPFS instance or a storage adapter
    * @param {string} hash        Multihash (as a Base58 encoded string) of the Entry from which to create the log from
+   * @param {string} id         ID of the log
    * @param {Number} [length=-1] How many entries to include in the log
+   * @param {Array<Entry|string>} [exclude] Entries or hashes to not fetch
+   * @param {Identity|Key} [identity] Identity to sign new entries with
+   * @param {AccessController|Array<string>} [access] Access controller or public keys, see constructor
    * @param {Function(hash, entry, parent, depth)} onProgressCallback
+   * @param {Object} [options]   Options for the log, see constructor
    * @return {Promise<Log>}      New Log
    */
-  static fromEntryHash (ipfs, hash, id, length = -1, exclude, key, keys, onProgressCallback) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(hash)) throw new Error("'hash' must be defined")
+  static fromEntryHash (ipfs, hash, id, length = -1, exclude, identity, access, onProgressCallback, options) {
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(hash)) throw new LogError.InvalidHashError(hash, "'hash' must be defined")
 
-    // TODO: need to verify the entries with 'key'
     return LogIO.fromEntryHash(ipfs, hash, id, length, exclude, onProgressCallback)
-      .then((data) => new Log(ipfs, id, data.values, null, null, key, keys))
+      .then((data) => new Log(ipfs, id, data.values, null, null, identity, access, options))
+      .then((log) => decryptLoaded(log))
+      .then((log) => verifyLoaded(log))
   }
 
   /**
    * Create a log from a Log Snapshot JSON
-   * @param {IPFS} ipfs          An IPFS instance
+   * @param {IPFS|Storage} ipfs  An IPFS instance or a storage adapter
    * @param {Object} json        Log snapshot as JSON object
    * @param {Number} [length=-1] How many entries to include in the log
+   * @param {Identity|Key} [identity] Identity to sign new entries with
+   * @param {AccessController|Array<string>} [access] Access controller or public keys, see constructor
+   * @param {Number} [timeout]   How long to wait for an entry (ms)
    * @param {Function(hash, entry, parent, depth)} [onProgressCallback]
+   * @param {Object} [options]   Options for the log, see constructor
    * @return {Promise<Log>}      New Log
    */
-  static fromJSON (ipfs, json, length = -1, key, keys, timeout, onProgressCallback) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
+  static fromJSON (ipfs, json, length = -1, identity, access, timeout, onProgressCallback, options) {
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
 
-    // TODO: need to verify the entries with 'key'
-    return LogIO.fromJSON(ipfs, json, length, key, timeout, onProgressCallback)
-      .then((data) => new Log(ipfs, data.id, data.values, null, null, key, keys))
+    return LogIO.fromJSON(ipfs, json, length, identity, timeout, onProgressCallback, toSortFn(options))
+      .then((data) => new Log(ipfs, data.id, data.values, null, null, identity, access, options))
+      .then((log) => decryptLoaded(log))
+      .then((log) => verifyLoaded(log))
   }
 
   /**
    * Create a new log from an Entry instance
-   * @param {IPFS}                ipfs          An IPFS instance
+   * @param {IPFS|Storage}        ipfs          An IPFS instance or a storage adapter
    * @param {Entry|Array<Entry>}  sourceEntries An Entry or an array of entries to fetch a log from
    * @param {Number}              [length=-1]   How many entries to include. Default: infinite.
    * @param {Array<Entry|string>} [exclude]     Array of entries or hashes or entries to not fetch (foe eg. cached entries)
    * @param {Function(hash, entry, parent, depth)} [onProgressCallback]
+   * @param {Object}              [options]     Options for the log, see constructor
+   * @param {Identity|Key}        [identity]    Identity to sign new entries with
+   * @param {AccessController|Array<string>} [access] Access controller or public keys, see constructor
    * @return {Promise<Log>}       New Log
    */
-  static fromEntry (ipfs, sourceEntries, length = -1, exclude, onProgressCallback) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(sourceEntries)) throw new Error("'sourceEntries' must be defined")
-
-    // TODO: need to verify the entries with 'key'
-    return LogIO.fromEntry(ipfs, sourceEntries, length, exclude, onProgressCallback)
-      .then((data) => new Log(ipfs, data.id, data.values))
+  static fromEntry (ipfs, sourceEntries, length = -1, exclude, onProgressCallback, options, identity, access) {
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(sourceEntries)) throw new LogError.InvalidArgumentError("'sourceEntries' must be defined")
+
+    return LogIO.fromEntry(ipfs, sourceEntries, length, exclude, onProgressCallback, toSortFn(options))
+      .then((data) => new Log(ipfs, data.id, data.values, null, null, identity, access, options))
+      .then((log) => decryptLoaded(log))
+      .then((log) => verifyLoaded(log))
   }
 
   /**
    * Expands the log with a specified number of new values
    *
-   * @param  {IPFS}               ipfs    An IPFS instance
+   * @param  {IPFS|Storage}       ipfs    An IPFS instance or a storage adapter
    * @param  {Log}                log     Log to expand
    * @param  {Entry|Array<Entry>} entries An Entry or an Array of entries to expand from
    * @param  {Number}             amount  How many new entries to include
    * @return {Promise<Log>}       New Log
    */
   static expandFrom (ipfs, log, entries, amount = -1) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(log)) throw LogError.LogNotDefinedError()
-    if (!isDefined(entries)) throw new Error(`'entries' must be given as argument`)
-    if (!Log.isLog(log)) throw LogError.NotALogError()
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
+    if (!isDefined(entries)) throw new LogError.InvalidArgumentError(`'entries' must be given as argument`)
+    if (!Log.isLog(log)) throw new LogError.NotALogError()
 
     return LogIO.expandFrom(ipfs, log, entries, amount)
-      .then((data) => new Log(ipfs, log.id, data.values, null, log.clock))
+      .then((data) => new Log(ipfs, log.id, data.values, null, log.clock, log._identity, log._access, log._options))
+      .then((res) => decryptLoaded(res))
+      .then((res) => verifyLoaded(res, log))
   }
 
   /**
    * Expands the log with a specified amount of Entries
-   * @param  {IPFS}   ipfs   An IPFS instance
+   * @param  {IPFS|Storage} ipfs An IPFS instance or a storage adapter
    * @param  {Log}    log    Log to expand
    * @param  {Number} amount How many new entries to include
    * @return {Promise<Log>}  New Log
    */
   static expand (ipfs, log, amount) {
-    if (!isDefined(ipfs)) throw LogError.ImmutableDBNotDefinedError()
-    if (!isDefined(log)) throw LogError.LogNotDefinedError()
-    if (!Log.isLog(log)) throw LogError.NotALogError()
+    if (!isDefined(ipfs)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
+    if (!Log.isLog(log)) throw new LogError.NotALogError()
+
+    return LogIO.expand(ipfs, log, amount, log._sortFn)
+      .then((data) => new Log(ipfs, log.id, data.values, log.heads, log.clock, log._identity, log._access, log._options))
+      .then((res) => decryptLoaded(res))
+      .then((res) => verifyLoaded(res, log))
+  }
 
-    return LogIO.expand(ipfs, log, amount)
-      .then((data) => new Log(ipfs, log.id, data.values, log.heads, log.clock))
+  /**
+   * Traverse a log from its heads
+   *
+   * @description
+   * Fetches the entries from the heads through their 'next' references and
+   * yields them latest first as soon as they're fetched, without loading
+   * the whole log. Stopping the iteration stops fetching more entries.
+   *
+   * @param  {IPFS|Storage}       storage   An IPFS instance or a storage adapter
+   * @param  {Array<Entry|string>} heads    Entries or hashes of the heads to start from
+   * @param  {Object}             [options] See EntryIO.traverse
+   * @param  {Function}           [options.sortFn] Function to order the entries with, ties are broken
+   * by the hashes of the entries like in a log with the same options.sortFn. Default: Entry.compare
+   *
+   * @example
+   * // Latest 20 entries of a remote log
+   * for await (const entry of Log.traverse(ipfs, heads, { amount: 20 })) {
+   *   console.log(entry.payload)
+   * }
+   *
+   * @returns {AsyncIterator<Entry>}
+   */
+  static traverse (storage, heads, options) {
+    if (!isDefined(storage)) throw new LogError.ImmutableDBNotDefinedError()
+    if (!isDefined(heads)) throw new LogError.InvalidArgumentError(`'heads' must be given as argument`)
+
+    return EntryIO.traverse(storage, heads, Object.assign({}, options, { sortFn: toSortFn(options) }))
+  }
+
+  /**
+   * Check whether an entry happened before another entry
+   *
+   * @description
+   * Tells from the vector clocks of the entries, without traversing the log,
+   * whether entry 'a' was in the log when entry 'b' was written.
+   * Throws if an entry doesn't have a vector clock, see options.clockType.
+   *
+   * @param {Entry} a
+   * @param {Entry} b
+   * @returns {boolean}
+   */
+  static happenedBefore (a, b) {
+    return VectorClock.happenedBefore(toVectorClock(a), toVectorClock(b))
+  }
+
+  /**
+   * Check whether two entries are concurrent
+   *
+   * @description
+   * Entries are concurrent when neither of them happened before the other,
+   * ie. they were written without knowing of each other.
+   * Throws if an entry doesn't have a vector clock, see options.clockType.
+   *
+   * @param {Entry} a
+   * @param {Entry} b
+   * @returns {boolean}
+   */
+  static isConcurrent (a, b) {
+    return VectorClock.isConcurrent(toVectorClock(a), toVectorClock(b))
   }
 
   /**
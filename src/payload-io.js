@@ -0,0 +1,80 @@
+'use strict'
+
+const pMap = require('p-map')
+const Storage = require('./storage')
+const LogError = require('./log-errors')
+const isDefined = require('./utils/is-defined')
+
+const defaultChunkSize = 256 * 1024
+
+/**
+ * PayloadIO
+ *
+ * @description
+ * Stores large payloads out of line, in blocks of their own, so that the
+ * entry only carries a reference to them and fetching the entries of
+ * a log doesn't fetch the payloads. The payload is stored as JSON split
+ * in dag-pb chunks, the reference lists the hashes of the chunks in order:
+ *
+ *   { blocks: ['Qm...1', 'Qm...2'], size: 262145 }
+ *
+ * The reference is stored as the payload of the entry and the entry is
+ * marked with its 'payloadBlocks' field, see Entry.hasPayloadBlocks.
+ */
+class PayloadIO {
+  /**
+   * Returns the size of a payload as stored in an entry
+   * @param {*} payload Any JSON.stringifyable data
+   * @returns {Number} Size in bytes
+   */
+  static size (payload) {
+    return Buffer.byteLength(JSON.stringify(payload))
+  }
+
+  /**
+   * Store a payload in blocks
+   * @param {IPFS|Storage} ipfs An IPFS instance or a storage adapter
+   * @param {*} payload Any JSON.stringifyable data
+   * @param {Object} [options]
+   * @param {Number} [options.chunkSize=262144] Max size of a block in bytes
+   * @returns {Promise<Object>} Reference to the blocks
+   */
+  static async toBlocks (ipfs, payload, { chunkSize = defaultChunkSize } = {}) {
+    if (!isDefined(ipfs)) throw new LogError.IpfsNotDefinedError()
+    if (!(chunkSize > 0)) throw new LogError.InvalidArgumentError(`Invalid chunk size: ${chunkSize}`)
+
+    const storage = Storage.toStorage(ipfs)
+    const data = Buffer.from(JSON.stringify(payload))
+    let chunks = []
+    for (let i = 0; i < data.length; i += chunkSize) {
+      chunks.push(data.slice(i, i + chunkSize))
+    }
+
+    // Store one chunk at a time to not hold all of them in flight
+    const blocks = await pMap(chunks, chunk => storage.put(chunk), { concurrency: 1 })
+    return {
+      blocks: blocks,
+      size: data.length,
+    }
+  }
+
+  /**
+   * Fetch a payload that was stored in blocks
+   * @param {IPFS|Storage} ipfs An IPFS instance or a storage adapter
+   * @param {Object} ref Reference to the blocks
+   * @returns {Promise<*>} Payload
+   */
+  static async fromBlocks (ipfs, ref) {
+    if (!isDefined(ipfs)) throw new LogError.IpfsNotDefinedError()
+
+    const storage = Storage.toStorage(ipfs)
+    const chunks = await pMap(ref.blocks, hash => storage.get(hash), { concurrency: 4 })
+    const data = Buffer.concat(chunks.map(e => Buffer.from(e)))
+    if (data.length !== ref.size) {
+      throw new LogError.LogError(`Payload size ${data.length} doesn't match the reference size ${ref.size}`)
+    }
+    return JSON.parse(data.toString())
+  }
+}
+
+module.exports = PayloadIO
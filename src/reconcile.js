@@ -0,0 +1,123 @@
+'use strict'
+
+const isDefined = require('./utils/is-defined')
+const LogError = require('./log-errors')
+
+/**
+ * Reconcile
+ *
+ * @description
+ * Computes which entries two replicas of a log are missing from each
+ * other by exchanging hashes only. The other replica is accessed through
+ * a remote interface:
+ *
+ *   heads(): Promise<Array<string>>             Hashes of the heads
+ *   has(hashes): Promise<Array<string>>         The given hashes the remote has
+ *   next(hashes): Promise<Object<string, Array<string>>>
+ *                                               'next' hashes of the given entries
+ *
+ * Each call to the remote is one round of the reconciliation.
+ */
+class Reconcile {
+  /**
+   * Compute the have/want sets of a log and a remote replica
+   *
+   * @description
+   * The remote log is walked from its heads through the 'next' hashes
+   * until reaching entries that are in the local log, which gives the
+   * entries the local log wants. Then the local log is walked from its
+   * heads, asking the remote which entries it has, until reaching entries
+   * the remote has, which gives the entries the remote wants. Entries seen
+   * on the first walk are known to the remote and aren't asked about.
+   *
+   * @param {Log}           log       Local log
+   * @param {Object}        remote    Remote interface
+   * @param {Object}        [options]
+   * @param {Array<string>} [options.heads] Heads of the remote, if already known
+   * @returns {Promise<Object<{have, want, rounds}>>} Hashes the remote is missing (have),
+   * hashes the local log is missing (want), and how many rounds it took
+   */
+  static async reconcile (log, remote, { heads } = {}) {
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
+    if (!isDefined(remote)) throw new LogError.InvalidArgumentError(`'remote' must be defined`)
+
+    let rounds = 0
+
+    // Hashes of the entries we know the remote has
+    let known = {}
+    const isUnknown = (hash) => {
+      if (known[hash]) return false
+      known[hash] = true
+      return true
+    }
+
+    if (!isDefined(heads)) {
+      heads = await remote.heads()
+      rounds ++
+    }
+
+    // Walk the remote log until reaching entries that we have
+    let want = []
+    let frontier = heads.filter(isUnknown).filter(hash => !log.has(hash))
+    while (frontier.length > 0) {
+      want = want.concat(frontier)
+      const nexts = await remote.next(frontier)
+      rounds ++
+      frontier = frontier
+        .reduce((res, hash) => res.concat(nexts[hash] || []), [])
+        .filter(isUnknown)
+        .filter(hash => !log.has(hash))
+    }
+
+    // Walk the local log until reaching entries the remote has
+    let have = []
+    let traversed = {}
+    frontier = log.heads.map(e => e.hash)
+    while (frontier.length > 0) {
+      const unknown = frontier.filter(hash => !known[hash])
+      if (unknown.length > 0) {
+        const remoteHas = await remote.has(unknown)
+        remoteHas.forEach(hash => known[hash] = true)
+        rounds ++
+      }
+      const missing = unknown.filter(hash => !known[hash])
+      missing.forEach(hash => traversed[hash] = true)
+      have = have.concat(missing)
+      frontier = missing
+        .reduce((res, hash) => res.concat(log.get(hash).next), [])
+        .filter(hash => !traversed[hash] && log.has(hash))
+      frontier = frontier.filter((hash, idx) => frontier.indexOf(hash) === idx)
+    }
+
+    return {
+      have: have,
+      want: want,
+      rounds: rounds,
+    }
+  }
+
+  /**
+   * Create a remote interface for a log
+   *
+   * @description
+   * Answers the queries of a replica reconciling with the given log.
+   *
+   * @param {Log} log Log to answer for
+   * @returns {Object} Remote interface
+   */
+  static toRemote (log) {
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
+
+    return {
+      heads: () => Promise.resolve(log.heads.map(e => e.hash)),
+      has: (hashes) => Promise.resolve(hashes.filter(hash => log.has(hash))),
+      next: (hashes) => Promise.resolve(hashes.reduce((res, hash) => {
+        const entry = log.get(hash)
+        if (entry) res[hash] = entry.next
+        return res
+      }, {})),
+    }
+  }
+}
+
+module.exports = Reconcile
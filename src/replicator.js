@@ -0,0 +1,316 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+const pMap = require('p-map')
+const Log = require('./log')
+const Entry = require('./entry')
+const Codecs = require('./entry-codecs')
+const Reconcile = require('./reconcile')
+const LogError = require('./log-errors')
+const Transports = require('./transports')
+const blockHash = require('./storage/block-hash')
+const isDefined = require('./utils/is-defined')
+
+// Check that the data of a block has the hash it was sent with
+const matchesHash = (data, block) => {
+  try {
+    return blockHash(data, block.format) === block.hash
+  } catch (e) {
+    return false
+  }
+}
+
+const randomId = () => `${new Date().getTime()}-${Math.random().toString(36).slice(2)}`
+
+// Queries a peer can make about the log, see Reconcile
+const queries = ['heads', 'has', 'next']
+
+// Split groups of blocks into batches of at most 'maxSize' bytes of base64 data.
+// A group is never split, a group larger than 'maxSize' is a batch of its own.
+const toBatches = (groups, maxSize) => {
+  const size = (blocks) => blocks.reduce((res, block) => res + block.data.length, 0)
+  return groups.reduce((res, group) => {
+    const batch = res[res.length - 1]
+    if (batch && size(batch) + size(group) <= maxSize) {
+      batch.push(...group)
+    } else {
+      res.push(group.slice())
+    }
+    return res
+  }, [])
+}
+
+/**
+ * Replicator
+ *
+ * @description
+ * Replicates a log with the peers of a message transport. The heads of
+ * the log are announced to the peers whenever they change, and when a
+ * peer announces its heads
+ * the replicas are reconciled, the missing entries are requested from the
+ * peer and joined to the log.
+ *
+ * Messages:
+ *
+ *   { type: 'heads', heads, [reply] }          Heads of the sender's log
+ *   { type: 'request', id, method, hashes }    Reconciliation query
+ *   { type: 'response', id, result }           Result of a query
+ *   { type: 'want', hashes }                   Entries the sender is missing
+ *   { type: 'blocks', blocks }                 Entries and the blocks of their payloads,
+ *                                              see PayloadIO, as { hash, format, data }.
+ *                                              An entry and its payload blocks are sent
+ *                                              in the same message.
+ *
+ * Every message has the id of the sender in 'from', and messages meant
+ * for one peer have its id in 'to'.
+ *
+ * Events:
+ *
+ *   'replicate' (peer, hashes)                   Entries were requested from a peer
+ *   'replicate.progress' (peer, entry, received, requested)
+ *                                                An entry was received
+ *   'replicated' (peer, length)                  Received entries were joined to the log
+ */
+class Replicator extends EventEmitter {
+  /**
+   * Create a new Replicator instance
+   * @param {Log}       log       Log to replicate
+   * @param {Transport} transport Transport to the peers
+   * @param {Object}    [options]
+   * @param {string}    [options.id]            ID of this peer
+   * @param {Number}    [options.timeout=30000] How long to wait for a response to a query (ms)
+   * @param {Number}    [options.maxMessageSize=1048576] Max size of the blocks sent in one message (bytes of base64).
+   * Larger replies are split into several messages.
+   * @returns {Replicator}
+   */
+  constructor (log, transport, { id, timeout = 30000, maxMessageSize = 1048576 } = {}) {
+    if (!isDefined(log)) throw new LogError.LogNotDefinedError()
+    if (!Log.isLog(log)) throw new LogError.NotALogError()
+    if (!Transports.isTransport(transport)) throw new LogError.InvalidArgumentError(`'transport' must implement send, on and removeListener`)
+
+    super()
+
+    this._log = log
+    this._transport = transport
+    this._id = id || randomId()
+    this._timeout = timeout
+    this._maxMessageSize = maxMessageSize
+
+    // Pending queries to the peers by request id
+    this._requests = {}
+    this._requestId = 0
+
+    // Hashes that have been requested and not yet received
+    this._wanted = {}
+    this._requested = 0
+    this._received = 0
+
+    this._onMessage = this._handleMessage.bind(this)
+    this._onLogHeads = () => this.announce().catch(e => this._handleError(e))
+    this._running = false
+  }
+
+  /**
+   * Returns the ID of this peer
+   * @returns {string}
+   */
+  get id () {
+    return this._id
+  }
+
+  /**
+   * Returns the log that is replicated
+   * @returns {Log}
+   */
+  get log () {
+    return this._log
+  }
+
+  /**
+   * Start listening to the peers and announce the heads of the log
+   * @returns {Promise}
+   */
+  start () {
+    this._running = true
+    this._transport.on('message', this._onMessage)
+    this._log.on('heads', this._onLogHeads)
+    return this.announce()
+  }
+
+  /**
+   * Stop listening to the peers. Pending queries are rejected.
+   */
+  stop () {
+    this._running = false
+    this._transport.removeListener('message', this._onMessage)
+    this._log.removeListener('heads', this._onLogHeads)
+    Object.values(this._requests).forEach((request) => {
+      clearTimeout(request.timer)
+      request.reject(new LogError.ReplicatorStoppedError())
+    })
+    this._requests = {}
+  }
+
+  /**
+   * Announce the heads of the log to the peers
+   * @returns {Promise}
+   */
+  announce () {
+    return this._send({ type: 'heads', heads: this._log.heads.map(e => e.hash) })
+  }
+
+  _send (message, to) {
+    return this._transport.send(Object.assign({ from: this.id, to: to }, message))
+  }
+
+  _handleMessage (message) {
+    // Ignore our own messages and messages to other peers
+    if (!message || message.from === this.id) return
+    if (isDefined(message.to) && message.to !== this.id) return
+
+    const handlers = {
+      heads: () => this._onHeads(message.from, message.heads, message.reply),
+      request: () => this._onRequest(message.from, message.id, message.method, message.hashes),
+      response: () => this._onResponse(message.id, message.result),
+      want: () => this._onWant(message.from, message.hashes),
+      blocks: () => this._onBlocks(message.from, message.blocks),
+    }
+
+    const handler = handlers[message.type]
+    if (!handler) return
+
+    handler().catch(e => this._handleError(e))
+  }
+
+  _handleError (e) {
+    // Pending queries fail when stopping, and errors are
+    // ignored without a listener
+    if (!this._running || this.listenerCount('error') === 0) return
+    this.emit('error', e)
+  }
+
+  // Remote interface to a peer's log, see Reconcile
+  _remote (peer) {
+    return queries.reduce((res, method) => {
+      res[method] = (hashes) => this._request(peer, method, hashes)
+      return res
+    }, {})
+  }
+
+  _request (peer, method, hashes) {
+    return new Promise((resolve, reject) => {
+      const id = ++this._requestId
+      const timer = setTimeout(() => {
+        delete this._requests[id]
+        reject(new LogError.FetchTimeoutError(`Request '${method}' to ${peer} timed out (${this._timeout}ms)`, this._timeout))
+      }, this._timeout)
+      this._requests[id] = { resolve, reject, timer }
+      this._send({ type: 'request', id: id, method: method, hashes: hashes }, peer)
+        .catch(reject)
+    })
+  }
+
+  async _onRequest (peer, id, method, hashes = []) {
+    if (!queries.includes(method)) return
+    const result = await Reconcile.toRemote(this._log)[method](hashes)
+    await this._send({ type: 'response', id: id, result: result }, peer)
+  }
+
+  async _onResponse (id, result) {
+    const request = this._requests[id]
+    if (!request) return
+    delete this._requests[id]
+    clearTimeout(request.timer)
+    request.resolve(result)
+  }
+
+  async _onHeads (peer, heads = [], reply) {
+    const { have, want } = await this._log.reconcile(this._remote(peer), { heads })
+
+    // Entries may have been requested or received while reconciling
+    const hashes = want.filter(hash => !this._wanted[hash] && !this._log.has(hash))
+    if (hashes.length > 0) {
+      hashes.forEach(hash => this._wanted[hash] = true)
+      this._requested += hashes.length
+      this.emit('replicate', peer, hashes)
+      await this._send({ type: 'want', hashes: hashes }, peer)
+    }
+
+    // Let the peer know we have entries it doesn't have. Replies
+    // are not replied to, so that the peers don't keep announcing
+    // to each other until the entries arrive.
+    if (have.length > 0 && !reply) {
+      await this._send({ type: 'heads', heads: this._log.heads.map(e => e.hash), reply: true }, peer)
+    }
+  }
+
+  async _onWant (peer, hashes = []) {
+    const storage = this._log.storage
+    const toBlock = async (hash, format) => {
+      const data = await storage.get(hash)
+      return {
+        hash: hash,
+        format: format,
+        data: data.toString('base64'),
+      }
+    }
+
+    // Payload blocks are sent if we have them, the peer can't
+    // load the payload from its own storage otherwise
+    const toPayloadBlock = (hash) => toBlock(hash, 'dag-pb').catch(() => null)
+
+    // The block of an entry and the blocks of its payload
+    const toBlocks = async (entry) => {
+      const entryBlock = await toBlock(entry.hash, Codecs.get(entry.v).format)
+      const payloadBlocks = await pMap(Entry.getPayloadBlocks(entry), toPayloadBlock, { concurrency: 1 })
+      return [entryBlock].concat(payloadBlocks.filter(isDefined))
+    }
+
+    const entries = hashes.filter(hash => this._log.has(hash)).map(hash => this._log.get(hash))
+    const groups = await pMap(entries, toBlocks)
+    for (const blocks of toBatches(groups, this._maxMessageSize)) {
+      await this._send({ type: 'blocks', blocks: blocks }, peer)
+    }
+  }
+
+  async _onBlocks (peer, blocks = []) {
+    const storage = this._log.storage
+
+    // Store only the blocks that match their hashes
+    const store = (block) => {
+      const data = Buffer.from(block.data, 'base64')
+      return matchesHash(data, block) ? storage.put(data, { format: block.format }) : null
+    }
+
+    // Entries we asked for
+    const toEntry = async (block) => {
+      const hash = await store(block)
+      if (!hash) {
+        delete this._wanted[block.hash]
+        return null
+      }
+      return Entry.fromMultihash(storage, hash)
+    }
+
+    const entries = (await pMap(blocks.filter(block => this._wanted[block.hash]), toEntry))
+      .filter(isDefined)
+
+    // and the blocks of their payloads
+    const payloadBlocks = new Set([].concat(...entries.map(Entry.getPayloadBlocks)))
+    await pMap(blocks.filter(block => payloadBlocks.has(block.hash)), store, { concurrency: 1 })
+
+    entries.forEach((entry) => {
+      this._received ++
+      this.emit('replicate.progress', peer, entry, this._received, this._requested)
+    })
+
+    if (entries.length > 0) {
+      const log = new Log(storage, this._log.id, entries)
+      await this._log.join(log, -1, this._log.id)
+      entries.forEach(entry => delete this._wanted[entry.hash])
+      this.emit('replicated', peer, entries.length)
+    }
+  }
+}
+
+module.exports = Replicator
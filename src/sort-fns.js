@@ -0,0 +1,68 @@
+'use strict'
+
+const Clocks = require('./clocks')
+
+/**
+ * Sort functions
+ *
+ * @description
+ * Functions that order the entries of a log, see options.sortFn of Log.
+ * A sort function compares two entries like the compare function of
+ * Array.prototype.sort. Replicas must order the same entries the same way,
+ * so the log breaks the ties of a sort function by the hashes of the entries.
+ */
+
+// Compare strings, undefined before any string
+const compareStrings = (a, b) => {
+  if (a === b) return 0
+  if (a === undefined) return -1
+  if (b === undefined) return 1
+  return a < b ? -1 : 1
+}
+
+/**
+ * Compare entries by their hashes
+ * @param {Entry} a
+ * @param {Entry} b
+ * @returns {Number}
+ */
+const SortByHash = (a, b) => compareStrings(a.hash, b.hash)
+
+/**
+ * Compare entries by their clocks, then by their hashes.
+ * This is the order of Entry.compare.
+ * @param {Entry} a
+ * @param {Entry} b
+ * @returns {Number}
+ */
+const SortByClocks = (a, b) => Clocks.compare(a.clock, b.clock) || SortByHash(a, b)
+
+/**
+ * Compare entries by the time of their clocks, then by the public keys of
+ * their writers, then by their hashes. Entries that were written at the same
+ * time are grouped by writer instead of by the ID of their clock.
+ * @param {Entry} a
+ * @param {Entry} b
+ * @returns {Number}
+ */
+const SortByClockTimeAndWriter = (a, b) => {
+  return (a.clock.time - b.clock.time)
+    || ((a.clock.logical || 0) - (b.clock.logical || 0))
+    || compareStrings(a.key, b.key)
+    || SortByHash(a, b)
+}
+
+/**
+ * Returns a sort function that breaks the ties of a sort function by the
+ * hashes of the entries, so that the order is the same on every replica
+ * @param {Function} sortFn Sort function
+ * @returns {Function}
+ */
+const withHashTiebreak = (sortFn) => (a, b) => sortFn(a, b) || SortByHash(a, b)
+
+module.exports = {
+  SortByHash: SortByHash,
+  SortByClocks: SortByClocks,
+  SortByClockTimeAndWriter: SortByClockTimeAndWriter,
+  withHashTiebreak: withHashTiebreak,
+}
@@ -0,0 +1,47 @@
+'use strict'
+
+const crypto = require('crypto')
+const CID = require('cids')
+const multihash = require('multihashes')
+const varint = require('varint')
+const LogError = require('../log-errors')
+
+// Protobuf field tag for the 'Data' field of a dag-pb PBNode
+// (field number 1, wire type 2: length-delimited)
+const PBNODE_DATA_TAG = 0x0a
+
+const sha256 = (data) => {
+  const digest = crypto.createHash('sha256').update(data).digest()
+  return multihash.encode(digest, 'sha2-256')
+}
+
+/**
+ * Calculate the hash of a block the way IPFS does
+ *
+ * @description
+ * 'dag-pb' blocks are hashed as `ipfs.object.put` hashes them, ie. the data
+ * is wrapped in a dag-pb node without links and the result is a CIDv0.
+ * 'dag-cbor' blocks are hashed as is and the result is a CIDv1.
+ *
+ * @param {Buffer} data   Data of the block
+ * @param {string} format Format of the block, 'dag-pb' or 'dag-cbor'
+ * @returns {string} Hash as a Base58 encoded string
+ */
+const blockHash = (data, format = 'dag-pb') => {
+  if (format === 'dag-pb') {
+    const node = Buffer.concat([
+      Buffer.from([PBNODE_DATA_TAG]),
+      Buffer.from(varint.encode(data.length)),
+      data,
+    ])
+    return multihash.toB58String(sha256(node))
+  }
+
+  if (format === 'dag-cbor') {
+    return new CID(1, 'dag-cbor', sha256(data)).toBaseEncodedString()
+  }
+
+  throw new LogError.UnsupportedFormatError(format, 'block')
+}
+
+module.exports = blockHash
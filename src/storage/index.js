@@ -0,0 +1,50 @@
+'use strict'
+
+const IPFSStorage = require('./ipfs-storage')
+const MemoryStorage = require('./memory-storage')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Storage adapters
+ *
+ * @description
+ * A storage adapter is any object that implements:
+ *
+ *   put(data: Buffer, [options]): Promise<string>  Store a block, returns its hash
+ *   get(hash: string): Promise<Buffer>             Retrieve a block by its hash
+ *   has(hash: string): Promise<boolean>            Check if a block can be retrieved
+ *   [delete(hash: string): Promise]                Remove a block (optional)
+ *
+ * `options.format` tells how the block is addressed: 'dag-pb' (default)
+ * for blocks stored like `ipfs.object.put` stores them, 'dag-cbor' for
+ * raw dag-cbor blocks.
+ */
+
+/**
+ * Check whether an object implements the storage adapter interface
+ * @param {Object} obj An object to check
+ * @returns {boolean}
+ */
+const isStorage = (obj) => {
+  return isDefined(obj)
+    && typeof obj.put === 'function'
+    && typeof obj.get === 'function'
+    && typeof obj.has === 'function'
+}
+
+/**
+ * Returns a storage adapter for the given argument. IPFS instances
+ * are wrapped in an IPFSStorage, storage adapters are returned as-is.
+ * @param {IPFS|Storage} storage An IPFS instance or a storage adapter
+ * @returns {Storage}
+ */
+const toStorage = (storage) => {
+  return isStorage(storage) ? storage : new IPFSStorage(storage)
+}
+
+module.exports = {
+  IPFSStorage: IPFSStorage,
+  MemoryStorage: MemoryStorage,
+  isStorage: isStorage,
+  toStorage: toStorage,
+}
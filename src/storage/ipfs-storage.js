@@ -0,0 +1,78 @@
+'use strict'
+
+const CID = require('cids')
+const blockHash = require('./block-hash')
+
+/**
+ * IPFSStorage
+ *
+ * @description
+ * Storage adapter that persists blocks in IPFS. 'dag-pb' blocks are
+ * stored as IPFS objects using `ipfs.object.put` and `ipfs.object.get`,
+ * 'dag-cbor' blocks are stored as raw blocks using `ipfs.block`.
+ */
+class IPFSStorage {
+  /**
+   * Create a new IPFSStorage instance
+   * @param {IPFS} ipfs An IPFS instance
+   */
+  constructor (ipfs) {
+    this._ipfs = ipfs
+  }
+
+  /**
+   * Returns the keystore attached to the IPFS instance, if any
+   * @returns {Keystore|undefined}
+   */
+  get keystore () {
+    return this._ipfs.keystore
+  }
+
+  /**
+   * Store a block
+   * @param {Buffer} data             Data to store
+   * @param {Object} [options]
+   * @param {string} [options.format] Format of the block, 'dag-pb' (default) or 'dag-cbor'
+   * @returns {Promise<string>} Hash of the block as Base58 encoded string
+   */
+  put (data, options = {}) {
+    if (options.format === 'dag-cbor') {
+      const hash = blockHash(data, options.format)
+      return this._ipfs.block.put(data, { cid: new CID(hash) })
+        .then(() => hash)
+    }
+
+    return this._ipfs.object.put(data)
+      .then((dagNode) => dagNode.toJSON().multihash)
+  }
+
+  /**
+   * Retrieve a block
+   * @param {string} hash Hash of the block as Base58 encoded string
+   * @returns {Promise<Buffer>}
+   */
+  get (hash) {
+    const cid = new CID(hash)
+
+    if (cid.codec === 'dag-cbor') {
+      return this._ipfs.block.get(cid)
+        .then((block) => block.data)
+    }
+
+    return this._ipfs.object.get(hash, { enc: 'base58' })
+      .then((dagNode) => dagNode.toJSON().data)
+  }
+
+  /**
+   * Check if a block can be retrieved
+   * @param {string} hash Hash of the block as Base58 encoded string
+   * @returns {Promise<boolean>}
+   */
+  has (hash) {
+    return this._ipfs.block.stat(new CID(hash))
+      .then(() => true)
+      .catch(() => false)
+  }
+}
+
+module.exports = IPFSStorage
@@ -0,0 +1,86 @@
+'use strict'
+
+const blockHash = require('./block-hash')
+const LogError = require('../log-errors')
+
+/**
+ * MemoryStorage
+ *
+ * @description
+ * Storage adapter that keeps blocks in memory. Blocks are addressed
+ * by the same sha2-256 hashes that IPFS gives them, so entries and
+ * logs get identical hashes without an IPFS node.
+ */
+class MemoryStorage {
+  constructor () {
+    this._blocks = {}
+  }
+
+  /**
+   * Returns the number of blocks in the store
+   * @returns {Number}
+   */
+  get size () {
+    return Object.keys(this._blocks).length
+  }
+
+  /**
+   * Store a block
+   * @param {Buffer} data             Data to store
+   * @param {Object} [options]
+   * @param {string} [options.format] Format of the block, 'dag-pb' (default) or 'dag-cbor'
+   * @returns {Promise<string>} Hash of the block as Base58 encoded string
+   */
+  put (data, options = {}) {
+    let hash
+    try {
+      hash = MemoryStorage.multihash(data, options.format)
+    } catch (e) {
+      return Promise.reject(e)
+    }
+    this._blocks[hash] = Buffer.from(data)
+    return Promise.resolve(hash)
+  }
+
+  /**
+   * Retrieve a block
+   * @param {string} hash Multihash as Base58 encoded string
+   * @returns {Promise<Buffer>}
+   */
+  get (hash) {
+    const data = this._blocks[hash]
+    if (!data) return Promise.reject(new LogError.BlockNotFoundError(hash))
+    return Promise.resolve(Buffer.from(data))
+  }
+
+  /**
+   * Check if a block is in the store
+   * @param {string} hash Multihash as Base58 encoded string
+   * @returns {Promise<boolean>}
+   */
+  has (hash) {
+    return Promise.resolve(this._blocks[hash] !== undefined)
+  }
+
+  /**
+   * Remove a block from the store
+   * @param {string} hash Multihash as Base58 encoded string
+   * @returns {Promise}
+   */
+  delete (hash) {
+    delete this._blocks[hash]
+    return Promise.resolve()
+  }
+
+  /**
+   * Calculate the hash IPFS gives for a block
+   * @param {Buffer} data     Data of the block
+   * @param {string} [format] Format of the block, 'dag-pb' (default) or 'dag-cbor'
+   * @returns {string} Hash as Base58 encoded string
+   */
+  static multihash (data, format) {
+    return blockHash(data, format)
+  }
+}
+
+module.exports = MemoryStorage
@@ -0,0 +1,35 @@
+'use strict'
+
+const LoopbackTransport = require('./loopback-transport')
+const isDefined = require('../utils/is-defined')
+
+/**
+ * Message transports
+ *
+ * @description
+ * A transport is any object that sends messages to other replicas
+ * and emits the messages it receives:
+ *
+ *   send(message: Object): Promise          Send a message to the peers
+ *   on('message', handler(message: Object)) Listen to received messages
+ *   removeListener('message', handler)      Stop listening
+ *
+ * Messages are plain objects that can be encoded as JSON.
+ */
+
+/**
+ * Check whether an object implements the transport interface
+ * @param {Object} obj An object to check
+ * @returns {boolean}
+ */
+const isTransport = (obj) => {
+  return isDefined(obj)
+    && typeof obj.send === 'function'
+    && typeof obj.on === 'function'
+    && typeof obj.removeListener === 'function'
+}
+
+module.exports = {
+  LoopbackTransport: LoopbackTransport,
+  isTransport: isTransport,
+}
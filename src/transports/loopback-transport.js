@@ -0,0 +1,62 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * LoopbackTransport
+ *
+ * @description
+ * In-process message transport. Messages sent through a transport are
+ * delivered asynchronously to the transports it's connected to, encoded
+ * as JSON on the way like a network transport would, so that replication
+ * can be run without a network.
+ */
+class LoopbackTransport extends EventEmitter {
+  constructor () {
+    super()
+    this._peers = []
+  }
+
+  /**
+   * Connect two transports to each other
+   * @param {LoopbackTransport} transport Transport to connect to
+   */
+  connect (transport) {
+    if (!this._peers.includes(transport)) this._peers.push(transport)
+    if (!transport._peers.includes(this)) transport._peers.push(this)
+  }
+
+  /**
+   * Disconnect from all transports
+   */
+  close () {
+    this._peers.forEach(peer => peer._peers = peer._peers.filter(e => e !== this))
+    this._peers = []
+  }
+
+  /**
+   * Send a message to the connected transports
+   * @param {Object} message Message to send
+   * @returns {Promise}
+   */
+  send (message) {
+    const data = JSON.stringify(message)
+    this._peers.forEach((peer) => {
+      setImmediate(() => peer.emit('message', JSON.parse(data)))
+    })
+    return Promise.resolve()
+  }
+
+  /**
+   * Create two connected transports
+   * @returns {Array<LoopbackTransport>}
+   */
+  static pair () {
+    const a = new LoopbackTransport()
+    const b = new LoopbackTransport()
+    a.connect(b)
+    return [a, b]
+  }
+}
+
+module.exports = LoopbackTransport
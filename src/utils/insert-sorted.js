@@ -0,0 +1,23 @@
+'use strict'
+
+// Insert a value into an array that is sorted in ascending order
+// by compareFn, keeping the array sorted. Mutates the array.
+function insertSorted (arr, value, compareFn) {
+  let low = 0
+  let high = arr.length
+
+  // Binary search for the first element greater than the value
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    if (compareFn(arr[mid], value) <= 0) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+
+  arr.splice(low, 0, value)
+  return arr
+}
+
+module.exports = insertSorted
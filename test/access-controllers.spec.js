@@ -0,0 +1,134 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Keystore = require('orbit-db-keystore')
+const AccessControllers = require('../src/access-controllers')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const { KeyListAccessController } = AccessControllers
+
+// Allows writing entries with a payload that starts with the writer's role
+class RoleAccessController {
+  constructor (roles) {
+    this.roles = roles
+    this.calls = []
+  }
+
+  async canAppend (entry, identity) {
+    this.calls.push([entry, identity])
+    const role = this.roles[identity.publicKey]
+    return role !== undefined && entry.payload.startsWith(role)
+  }
+}
+
+describe('Access controllers', function() {
+  const keystore = new Keystore('./test/keystore')
+
+  let storage, key1, key2, pubkey1, pubkey2
+
+  before(() => {
+    key1 = keystore.getKey('A') || keystore.createKey('A')
+    key2 = keystore.getKey('B') || keystore.createKey('B')
+    pubkey1 = key1.getPublic('hex')
+    pubkey2 = key2.getPublic('hex')
+  })
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+    storage.keystore = keystore
+  })
+
+  describe('KeyListAccessController', () => {
+    it('allows the keys in the list', async () => {
+      const access = new KeyListAccessController([pubkey1])
+      assert.equal(await access.canAppend({}, { publicKey: pubkey1 }), true)
+      assert.equal(await access.canAppend({}, { publicKey: pubkey2 }), false)
+    })
+
+    it('allows anyone with a wildcard', async () => {
+      const access = new KeyListAccessController(['*'])
+      assert.equal(await access.canAppend({}, { publicKey: pubkey2 }), true)
+    })
+
+    it('allows nobody with an empty list', async () => {
+      const access = new KeyListAccessController()
+      assert.deepEqual(access.keys, [])
+      assert.equal(await access.canAppend({}, { publicKey: pubkey1 }), false)
+    })
+
+    it('takes a single key and keys as key objects', () => {
+      assert.deepEqual(new KeyListAccessController(pubkey1).keys, [pubkey1])
+      assert.deepEqual(new KeyListAccessController([key1, pubkey2]).keys, [pubkey1, pubkey2])
+    })
+  })
+
+  describe('toAccessController', () => {
+    it('returns an access controller as-is', () => {
+      const access = new RoleAccessController({})
+      assert.equal(AccessControllers.toAccessController(access), access)
+    })
+
+    it('wraps public keys in a KeyListAccessController', () => {
+      const access = AccessControllers.toAccessController([pubkey1])
+      assert.equal(access instanceof KeyListAccessController, true)
+      assert.deepEqual(access.keys, [pubkey1])
+    })
+  })
+
+  describe('Log', () => {
+    it('asks the access controller when appending', async () => {
+      const access = new RoleAccessController({ [pubkey1]: 'admin' })
+      const log = new Log(storage, 'A', null, null, null, key1, access)
+      const entry = await log.append('admin: hello')
+      assert.equal(access.calls.length, 1)
+      assert.equal(access.calls[0][0].payload, 'admin: hello')
+      assert.equal(access.calls[0][1].publicKey, pubkey1)
+
+      let err
+      try {
+        await log.append('hello')
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Not allowed to write')
+      assert.deepEqual(log.values.map(e => e.hash), [entry.hash])
+    })
+
+    it('asks the access controller when joining', async () => {
+      const access = new RoleAccessController({ [pubkey1]: 'admin', [pubkey2]: 'user' })
+      const log1 = new Log(storage, 'A', null, null, null, key1, access)
+      const log2 = new Log(storage, 'A', null, null, null, key2, ['*'])
+      await log2.append('user: hello')
+      await log1.join(log2, -1, log1.id)
+      assert.equal(log1.length, 1)
+      assert.deepEqual(access.calls[0][1], { publicKey: pubkey2 })
+
+      const entry = await log2.append('admin: hello')
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(res.rejected, [{ entry: entry, reason: Log.RejectReasons.NotAllowed }])
+      assert.equal(log1.length, 1)
+    })
+
+    it('passes the access controller to the loaded log', async () => {
+      const access = new RoleAccessController({ [pubkey1]: 'admin' })
+      const log = new Log(storage, 'A', null, null, null, key1, access)
+      await log.append('admin: one')
+      const hash = await log.toMultihash()
+
+      const res1 = await Log.fromMultihash(storage, hash, -1, [], key1, null, null, access)
+      const res2 = await Log.fromEntryHash(storage, log.heads[0].hash, 'A', -1, [], key1, access)
+      const res3 = await Log.fromEntry(storage, log.heads, -1, [], null, null, key1, access)
+      const res4 = await Log.fromJSON(storage, { id: 'A', heads: log.heads }, -1, key1, access)
+      const res5 = await Log.expand(storage, res1, 1)
+      ;[res1, res2, res3, res4, res5].forEach(res => assert.equal(res._access, access))
+    })
+
+    it('doesn\'t check access for unsigned logs', async () => {
+      const access = new RoleAccessController({})
+      const log = new Log(storage, 'A', null, null, null, null, access)
+      await log.append('hello')
+      assert.equal(access.calls.length, 0)
+    })
+  })
+})
@@ -0,0 +1,309 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const { LamportClock, HybridLogicalClock, VectorClock, compare, toClock } = require('../src/clocks')
+const { MemoryIdentity } = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const payloads = (log) => log.values.map(e => e.payload)
+
+describe('Clocks', function() {
+  let storage, now
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+    now = HybridLogicalClock.now
+  })
+
+  afterEach(() => {
+    HybridLogicalClock.now = now
+  })
+
+  // Stop the physical clock at the given time
+  const setTime = (time) => {
+    HybridLogicalClock.now = () => time
+  }
+
+  describe('HybridLogicalClock', () => {
+    it('ticks to the wall time', () => {
+      const before = Date.now()
+      const clock = new HybridLogicalClock('A').tick()
+      assert.equal(clock.time >= before && clock.time <= Date.now(), true)
+      assert.equal(clock.logical, 0)
+      assert.equal(clock.toDate().getTime(), clock.time)
+    })
+
+    it('counts the ticks in the same millisecond', () => {
+      setTime(1000)
+      const clock = new HybridLogicalClock('A')
+      assert.deepEqual(clock.tick(), new HybridLogicalClock('A', 1000, 0))
+      assert.deepEqual(clock.tick(), new HybridLogicalClock('A', 1000, 1))
+      setTime(1001)
+      assert.deepEqual(clock.tick(), new HybridLogicalClock('A', 1001, 0))
+    })
+
+    it('stays ahead of the clocks it merged', () => {
+      setTime(1000)
+      const clock = new HybridLogicalClock('A', 1000)
+      clock.merge(new HybridLogicalClock('B', 2000, 3))
+      assert.deepEqual(clock.tick(), new HybridLogicalClock('A', 2000, 4))
+    })
+
+    it('merges LamportClocks', () => {
+      const clock = new HybridLogicalClock('A', 5, 2)
+      clock.merge(new LamportClock('B', 5))
+      assert.deepEqual(clock, new HybridLogicalClock('A', 5, 2))
+      clock.merge(new LamportClock('B', 6))
+      assert.deepEqual(clock, new HybridLogicalClock('A', 6, 0))
+    })
+  })
+
+  describe('VectorClock', () => {
+    it('counts the entries of each writer', () => {
+      const clock = new VectorClock('A')
+      clock.tick()
+      clock.tick('B')
+      assert.deepEqual(clock.tick(), new VectorClock('A', 3, { A: 2, B: 1 }))
+    })
+
+    it('merges the counts', () => {
+      const clock = new VectorClock('A', 2, { A: 2, B: 1 })
+      clock.merge(new VectorClock('B', 3, { B: 3, C: 1 }))
+      assert.deepEqual(clock, new VectorClock('A', 3, { A: 2, B: 3, C: 1 }))
+      clock.merge(new LamportClock('B', 5))
+      assert.deepEqual(clock, new VectorClock('A', 5, { A: 2, B: 3, C: 1 }))
+    })
+
+    it('keeps the keys in the order they are stored in', () => {
+      const clock = new VectorClock('A', 0, { zz: 1, a: 1, bb: 1 })
+      assert.deepEqual(Object.keys(clock.vector), ['a', 'bb', 'zz'])
+    })
+
+    it('tells which clock happened before', () => {
+      const a = new VectorClock('A', 1, { A: 1 })
+      const b = new VectorClock('B', 2, { A: 1, B: 1 })
+      const c = new VectorClock('A', 2, { A: 2 })
+      assert.equal(VectorClock.happenedBefore(a, b), true)
+      assert.equal(VectorClock.happenedBefore(b, a), false)
+      assert.equal(VectorClock.happenedBefore(a, a), false)
+      assert.equal(VectorClock.isConcurrent(a, b), false)
+      assert.equal(VectorClock.isConcurrent(b, c), true)
+      assert.equal(VectorClock.isConcurrent(a, a), false)
+    })
+  })
+
+  describe('compare', () => {
+    it('compares by time, logical counter and id', () => {
+      assert.equal(compare(new HybridLogicalClock('B', 1, 5), new HybridLogicalClock('A', 2, 0)) < 0, true)
+      assert.equal(compare(new HybridLogicalClock('B', 2, 0), new HybridLogicalClock('A', 2, 1)) < 0, true)
+      assert.equal(compare(new HybridLogicalClock('A', 2, 1), new HybridLogicalClock('B', 2, 1)) < 0, true)
+    })
+
+    it('compares LamportClocks like LamportClock.compare', () => {
+      const clocks = [new LamportClock('A', 1), new LamportClock('B', 1), new LamportClock('A', 2)]
+      clocks.forEach(a => clocks.forEach(b => assert.equal(compare(a, b), LamportClock.compare(a, b))))
+    })
+
+    it('compares LamportClocks to HybridLogicalClocks', () => {
+      assert.equal(compare(new LamportClock('A', 2), new HybridLogicalClock('A', 2, 1)) < 0, true)
+      assert.equal(compare(new LamportClock('A', 3), new HybridLogicalClock('A', 2, 1)) > 0, true)
+    })
+  })
+
+  describe('toClock', () => {
+    it('returns clocks for stored clocks', () => {
+      assert.deepEqual(toClock({ id: 'A', time: 1 }), new LamportClock('A', 1))
+      assert.deepEqual(toClock({ id: 'A', time: 1, logical: 2 }, 'B'), new HybridLogicalClock('B', 1, 2))
+      assert.deepEqual(toClock(new HybridLogicalClock('A', 1, 2)), new HybridLogicalClock('A', 1, 2))
+    })
+  })
+
+  describe('Entry', () => {
+    it('gives signed entries the clock of the writer', async () => {
+      const identity = MemoryIdentity.create('A')
+      const entry1 = await Entry.create(storage, 'X', 'one', [], new LamportClock('X', 1), identity)
+      const entry2 = await Entry.create(storage, 'X', 'two', [], new HybridLogicalClock('X', 1, 1), identity)
+      assert.equal(entry1.id, 'X')
+      assert.deepEqual(entry1.clock, new LamportClock(identity.publicKey, 1))
+      assert.deepEqual(entry2.clock, new HybridLogicalClock(identity.publicKey, 1, 1))
+      await Entry.verifyEntry(await Entry.fromMultihash(storage, entry1.hash), identity)
+    })
+
+    it('gives unsigned entries the clock of the log', async () => {
+      const entry = await Entry.create(storage, 'X', 'one', [], new LamportClock('A', 1))
+      assert.deepEqual(entry.clock, new LamportClock('X', 1))
+    })
+  })
+
+  describe('Log', () => {
+    const options = { clockType: HybridLogicalClock }
+
+    it('orders concurrent entries by writer', async () => {
+      const identity1 = MemoryIdentity.create('A')
+      const identity2 = MemoryIdentity.create('B')
+      const log1 = new Log(storage, 'X', null, null, null, identity1, ['*'])
+      const log2 = new Log(storage, 'X', null, null, null, identity2, ['*'])
+      const a1 = await log1.append('a1')
+      const b1 = await log2.append('b1')
+      await log1.join(log2)
+      await log2.join(log1)
+      const expected = identity1.publicKey < identity2.publicKey ? [a1, b1] : [b1, a1]
+      assert.deepEqual(log1.values.map(e => e.hash), expected.map(e => e.hash))
+      assert.deepEqual(log2.values.map(e => e.hash), expected.map(e => e.hash))
+      assert.deepEqual(log1.clock, new LamportClock('X', 1))
+    })
+
+    it('joins entries with the clock of the log', async () => {
+      const identity1 = MemoryIdentity.create('A')
+      const identity2 = MemoryIdentity.create('B')
+      // Signed entries used to have the clock of the log
+      const entry = await Entry.signEntry({ hash: null, id: 'X', payload: 'one', next: [], v: 0, clock: new LamportClock('X', 1) }, identity1)
+      entry.hash = await Entry.toMultihash(storage, entry)
+      const options = { legacySignatures: true }
+      const log1 = new Log(storage, 'X', [entry], null, null, identity1, ['*'], options)
+      const log2 = new Log(storage, 'X', null, null, null, identity2, ['*'], options)
+      await log1.append('two')
+      await log2.join(log1)
+      await log2.append('three')
+      await log1.join(log2)
+      assert.deepEqual(payloads(log1), ['one', 'two', 'three'])
+      assert.deepEqual(log1.values.map(e => e.clock.id), ['X', identity1.publicKey, identity2.publicKey])
+      assert.deepEqual(log1.values.map(e => e.clock.time), [1, 2, 3])
+      const res = await Log.fromMultihash(storage, await log1.toMultihash(), -1, [], identity1, null, options, ['*'])
+      assert.deepEqual(payloads(res), ['one', 'two', 'three'])
+      assert.deepEqual(res.clock, new LamportClock('X', 3))
+    })
+
+    it('writes entries with hybrid logical clocks', async () => {
+      setTime(1000)
+      const log = new Log(storage, 'X', null, null, null, null, null, options)
+      await log.append('one')
+      await log.append('two')
+      setTime(1005)
+      await log.append('three')
+      assert.deepEqual(log.values.map(e => [e.clock.time, e.clock.logical]), [[1000, 0], [1000, 1], [1005, 0]])
+      assert.deepEqual(log.clock, new HybridLogicalClock('X', 1005, 0))
+    })
+
+    it('loads entries with hybrid logical clocks', async () => {
+      setTime(1000)
+      const log = new Log(storage, 'X', null, null, null, null, null, options)
+      await log.append('one')
+      await log.append('two')
+      const res = await Log.fromMultihash(storage, await log.toMultihash(), -1, [], null, null, options)
+      assert.deepEqual(payloads(res), ['one', 'two'])
+      assert.deepEqual(res.values.map(e => e.clock.logical), [0, 1])
+      assert.deepEqual(res.clock, new HybridLogicalClock('X', 1000, 1))
+    })
+
+    it('stores the logical counter in version 1 entries', async () => {
+      setTime(1000)
+      const log = new Log(storage, 'X', null, null, null, null, null, { clockType: HybridLogicalClock, version: 1 })
+      await log.append('one')
+      await log.append('two')
+      const entry = await Entry.fromMultihash(storage, log.heads[0].hash)
+      assert.deepEqual(entry.clock, { id: 'X', time: 1000, logical: 1 })
+    })
+
+    it('verifies signed entries with hybrid logical clocks', async () => {
+      const identity = MemoryIdentity.create()
+      const log = new Log(storage, 'X', null, null, null, identity, ['*'], options)
+      await log.append('one')
+      await log.append('two')
+      const res = await Log.fromEntry(storage, log.heads, -1, [], null, options, identity, ['*'])
+      assert.deepEqual(payloads(res), ['one', 'two'])
+    })
+
+    it('joins entries with LamportClocks', async () => {
+      setTime(1000)
+      const log1 = new Log(storage, 'X')
+      const log2 = new Log(storage, 'X', null, null, null, null, null, options)
+      await log1.append('one')
+      await log1.append('two')
+      await log2.join(log1)
+      await log2.append('three')
+      await log1.join(log2)
+      await log1.append('four')
+      assert.deepEqual(payloads(log1), ['one', 'two', 'three', 'four'])
+      assert.deepEqual(log1.values.map(e => e.clock.time), [1, 2, 1000, 1001])
+      assert.deepEqual(payloads(log2), ['one', 'two', 'three'])
+    })
+
+    it('tells concurrent entries from ordered entries', async () => {
+      const identity1 = MemoryIdentity.create('A')
+      const identity2 = MemoryIdentity.create('B')
+      const options = { clockType: VectorClock }
+      const log1 = new Log(storage, 'X', null, null, null, identity1, ['*'], options)
+      const log2 = new Log(storage, 'X', null, null, null, identity2, ['*'], options)
+      const a1 = await log1.append('a1')
+      await log2.join(log1)
+      const b1 = await log2.append('b1')
+      const a2 = await log1.append('a2')
+      await log1.join(log2)
+      const a3 = await log1.append('a3')
+
+      assert.deepEqual(a3.clock.vector, { A: 3, B: 1 })
+      assert.equal(Log.happenedBefore(a1, b1), true)
+      assert.equal(Log.happenedBefore(b1, a1), false)
+      assert.equal(Log.isConcurrent(a2, b1), true)
+      assert.equal(Log.isConcurrent(a1, b1), false)
+      assert.equal(Log.happenedBefore(b1, a3), true)
+      assert.equal(Log.isConcurrent(a2, a3), false)
+    })
+
+    it('tells concurrent entries of unsigned replicas', async () => {
+      const log1 = new Log(storage, 'X', null, null, null, null, null, { clockType: VectorClock, replicaId: 'A' })
+      const log2 = new Log(storage, 'X', null, null, null, null, null, { clockType: VectorClock, replicaId: 'B' })
+      const log3 = new Log(storage, 'X', null, null, null, null, null, { clockType: VectorClock })
+      const log4 = new Log(storage, 'X', null, null, null, null, null, { clockType: VectorClock })
+      const a1 = await log1.append('a1')
+      const b1 = await log2.append('b1')
+      assert.deepEqual(a1.clock.vector, { A: 1 })
+      assert.deepEqual(b1.clock.vector, { B: 1 })
+      assert.equal(Log.isConcurrent(a1, b1), true)
+      await log1.join(log2)
+      const a2 = await log1.append('a2')
+      assert.deepEqual(a2.clock.vector, { A: 2, B: 1 })
+      assert.equal(Log.happenedBefore(b1, a2), true)
+
+      const c1 = await log3.append('c1')
+      const d1 = await log4.append('d1')
+      assert.equal(Log.isConcurrent(c1, d1), true)
+    })
+
+    it('loads entries with vector clocks', async () => {
+      const identity = MemoryIdentity.create('A')
+      const options = { clockType: VectorClock, version: 1 }
+      const log = new Log(storage, 'X', null, null, null, identity, ['*'], options)
+      await log.append('one')
+      await log.append('two')
+      const res = await Log.fromEntry(storage, log.heads, -1, [], null, options, identity, ['*'])
+      assert.deepEqual(res.values.map(e => e.clock.vector), [{ A: 1 }, { A: 2 }])
+      assert.equal(Log.happenedBefore(res.values[0], res.values[1]), true)
+      assert.deepEqual(res.clock, new VectorClock('X', 2, { A: 2 }))
+    })
+
+    it('throws for entries without a vector clock', async () => {
+      const log = new Log(storage, 'X')
+      const entry = await log.append('one')
+      assert.throws(() => Log.isConcurrent(entry, entry), /doesn't have a vector clock/)
+    })
+
+    it('iterates the entries by wall time', async () => {
+      const log = new Log(storage, 'X', null, null, null, null, null, options)
+      setTime(1000)
+      await log.append('one')
+      setTime(2000)
+      await log.append('two')
+      setTime(3000)
+      await log.append('three')
+      const res = []
+      for await (const entry of log.iterator({ gte: 1500, lt: 3000 })) {
+        res.push(entry.payload)
+      }
+      assert.deepEqual(res, ['two'])
+    })
+  })
+})
@@ -0,0 +1,158 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const Compression = require('../src/compression')
+const Codecs = require('../src/entry-codecs')
+const { SymmetricEncryption } = require('../src/encryption')
+const { MemoryIdentity } = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const message = (i) => ({ type: 'message', room: 'general', from: 'alice', text: `message ${i}: ${'hello '.repeat(10)}` })
+
+describe('Compression', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  describe('codecs', () => {
+    it('compresses and decompresses a payload', async () => {
+      const payload = [1, 2, 3, 4, 5].map(message)
+      for (const name of Compression.names()) {
+        const data = await Compression.compress(payload, name)
+        assert.equal(typeof data, 'string')
+        assert.deepEqual(await Compression.decompress(data, name), payload)
+      }
+    })
+
+    it('has deflate', () => {
+      assert.equal(Compression.names().includes('deflate'), true)
+    })
+
+    it('doesn\'t compress payloads that don\'t get smaller', async () => {
+      assert.equal(await Compression.compress('hi', 'deflate'), null)
+    })
+
+    it('throws on unknown codecs', async () => {
+      let err
+      try {
+        await Compression.compress('hello', 'lzma')
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.code, 'ERR_UNSUPPORTED_FORMAT')
+      assert.equal(err.message, 'Unsupported compression format: lzma')
+    })
+  })
+
+  describe('Entry', () => {
+    it('stores the compressed payload', async () => {
+      const entry = await Entry.create(storage, 'A', message(1), [], null, null, { compression: 'deflate' })
+      assert.deepEqual(entry.payload, message(1))
+      assert.equal(entry.compression, 'deflate')
+      const data = await storage.get(entry.hash)
+      assert.equal(data.toString().includes('general'), false)
+      assert.equal(data.toString().includes('"compression":"deflate"'), true)
+
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(res.hash, entry.hash)
+      assert.deepEqual(res.payload, message(1))
+    })
+
+    it('verifies the signature of a compressed entry', async () => {
+      const identity = MemoryIdentity.create()
+      for (const version of Codecs.versions()) {
+        const entry = await Entry.create(storage, 'A', message(1), [], null, identity, { compression: 'deflate', version: version })
+        await Entry.verifyEntry(entry, identity)
+        const res = await Entry.fromMultihash(storage, entry.hash)
+        assert.deepEqual(res.payload, message(1))
+        await Entry.verifyEntry(res, identity)
+      }
+    })
+
+    it('compresses before encrypting', async () => {
+      const key = SymmetricEncryption.generateKey()
+      const entry = await Entry.create(storage, 'A', message(1), [], null, null, { compression: 'deflate', encryption: key })
+      const opaque = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(Entry.isEncrypted(opaque), true)
+      const res = await Entry.decrypt(opaque, key)
+      assert.deepEqual(res.payload, message(1))
+    })
+
+    it('stores a smaller encrypted payload when compressed', async () => {
+      const key = SymmetricEncryption.generateKey()
+      const payload = [1, 2, 3, 4, 5].map(message)
+      const entry1 = await Entry.create(storage, 'A', payload, [], null, null, { encryption: key })
+      const entry2 = await Entry.create(storage, 'A', payload, [], null, null, { compression: 'deflate', encryption: key })
+      const size1 = (await storage.get(entry1.hash)).length
+      const size2 = (await storage.get(entry2.hash)).length
+      assert.equal(size2 < size1 / 2, true)
+      const res = await Entry.fromMultihash(storage, entry2.hash, { encryption: key })
+      assert.deepEqual(res.payload, payload)
+    })
+
+    it('decompresses payloads stored out of line', async () => {
+      const payload = [1, 2, 3, 4, 5].map(message)
+      const entry = await Entry.create(storage, 'A', payload, [], null, null, { compression: 'deflate', maxInlineSize: 10 })
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(Entry.hasPayloadBlocks(res), true)
+      const loaded = await Entry.loadPayload(storage, res)
+      assert.deepEqual(loaded.payload, payload)
+    })
+
+    it('doesn\'t compress payloads that don\'t get smaller', async () => {
+      const entry = await Entry.create(storage, 'A', 'hi', [], null, null, { compression: 'deflate' })
+      assert.equal(entry.compression, undefined)
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(res.payload, 'hi')
+    })
+
+    it('throws an error when reading an entry with an unknown codec', async () => {
+      const data = { hash: null, id: 'A', payload: 'XQAAgAD//////////w==', next: [], v: 0, clock: { id: 'A', time: 0 }, compression: 'lzma' }
+      const hash = await storage.put(Buffer.from(JSON.stringify(data)))
+      let err
+      try {
+        await Entry.fromMultihash(storage, hash)
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Unsupported compression format: lzma')
+    })
+
+    it('doesn\'t decompress payloads that look compressed', async () => {
+      const payload = { compression: 'deflate', data: 'UyouLSooyixOVQIA' }
+      const entry = await Entry.create(storage, 'A', payload)
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.deepEqual(res.payload, payload)
+    })
+  })
+
+  describe('Log', () => {
+    it('loads a log with compressed and uncompressed entries', async () => {
+      const log1 = new Log(storage, 'X', null, null, null, null, null, { compression: 'deflate' })
+      const log2 = new Log(storage, 'X')
+      await log1.append(message(1))
+      await log2.join(log1)
+      await log2.append(message(2))
+      await log1.join(log2)
+      await log1.append(message(3))
+
+      const hash = await log1.toMultihash()
+      const res = await Log.fromMultihash(storage, hash, -1)
+      assert.deepEqual(res.values.map(e => e.payload), [1, 2, 3].map(message))
+    })
+
+    it('throws an error when the codec isn\'t available', () => {
+      let err
+      try {
+        new Log(storage, 'X', null, null, null, null, null, { compression: 'lzma' })
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Unsupported compression format: lzma')
+    })
+  })
+})
@@ -0,0 +1,281 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const { SymmetricEncryption, RecipientEncryption, isEncryption, canEncrypt, toEncryption, isEncrypted } = require('../src/encryption')
+const { MemoryIdentity } = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const payloads = (log) => log.values.map(e => e.payload)
+
+describe('Encryption', function() {
+  let storage, key
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+    key = SymmetricEncryption.generateKey()
+  })
+
+  const rejects = async (promise) => {
+    try {
+      await promise
+    } catch (e) {
+      return e
+    }
+  }
+
+  describe('SymmetricEncryption', () => {
+    it('encrypts and decrypts a payload', async () => {
+      const encryption = new SymmetricEncryption(key)
+      const envelope = await encryption.encrypt({ hello: 'world' })
+      assert.equal(envelope.enc, 'aes-256-gcm')
+      assert.equal(isEncrypted(envelope), true)
+      assert.equal(JSON.stringify(envelope).includes('world'), false)
+      assert.deepEqual(await encryption.decrypt(envelope), { hello: 'world' })
+    })
+
+    it('fails to decrypt with another key', async () => {
+      const envelope = await new SymmetricEncryption(key).encrypt('hello')
+      const err = await rejects(new SymmetricEncryption(SymmetricEncryption.generateKey()).decrypt(envelope))
+      assert.notEqual(err, undefined)
+    })
+
+    it('gets the keys from a key provider', async () => {
+      const keys = { one: key, two: SymmetricEncryption.generateKey() }
+      const provider = async (keyId) => keys[keyId]
+      const envelope = await new SymmetricEncryption(provider, { keyId: 'one' }).encrypt('hello')
+      assert.equal(envelope.kid, 'one')
+      assert.equal(await new SymmetricEncryption(provider, { keyId: 'two' }).decrypt(envelope), 'hello')
+    })
+
+    it('accepts hex keys', async () => {
+      const envelope = await new SymmetricEncryption(key.toString('hex')).encrypt('hello')
+      assert.equal(await new SymmetricEncryption(key).decrypt(envelope), 'hello')
+    })
+
+    it('throws on keys of the wrong length', async () => {
+      const err = await rejects(new SymmetricEncryption(Buffer.from('short')).encrypt('hello'))
+      assert.equal(err.code, 'ERR_INVALID_ARGUMENT')
+    })
+
+    it('converts keys to encryptions', () => {
+      assert.equal(toEncryption(null), null)
+      assert.equal(toEncryption(key) instanceof SymmetricEncryption, true)
+      const encryption = new SymmetricEncryption(key)
+      assert.equal(toEncryption(encryption), encryption)
+      assert.equal(isEncryption(encryption), true)
+      assert.equal(isEncryption(key), false)
+    })
+  })
+
+  describe('RecipientEncryption', () => {
+    let alice, bob, eve
+
+    before(() => {
+      alice = MemoryIdentity.create('alice')
+      bob = MemoryIdentity.create('bob')
+      eve = MemoryIdentity.create('eve')
+    })
+
+    it('encrypts a payload for each recipient', async () => {
+      const encryption = new RecipientEncryption(null, { recipients: [alice.publicKey, bob.publicKey] })
+      const envelope = await encryption.encrypt({ hello: 'world' })
+      assert.equal(envelope.enc, 'ecies-secp256k1')
+      assert.equal(isEncrypted(envelope), true)
+      assert.deepEqual(envelope.keys.map(e => e.to), [alice.publicKey, bob.publicKey])
+      assert.equal(JSON.stringify(envelope).includes('world'), false)
+      assert.deepEqual(await new RecipientEncryption(alice.privateKey).decrypt(envelope), { hello: 'world' })
+      assert.deepEqual(await new RecipientEncryption(bob.privateKey).decrypt(envelope), { hello: 'world' })
+    })
+
+    it('fails to decrypt for others', async () => {
+      const envelope = await new RecipientEncryption(null, { recipients: [alice.publicKey] }).encrypt('hello')
+      const err = await rejects(new RecipientEncryption(eve.privateKey).decrypt(envelope))
+      assert.equal(err.message, 'Not a recipient of the payload')
+    })
+
+    it('fails to decrypt a key that was wrapped for someone else', async () => {
+      const envelope = await new RecipientEncryption(null, { recipients: [alice.publicKey] }).encrypt('hello')
+      envelope.keys[0].to = eve.publicKey
+      const err = await rejects(new RecipientEncryption(eve.privateKey).decrypt(envelope))
+      assert.notEqual(err, undefined)
+    })
+
+    it('throws without recipients', async () => {
+      const err = await rejects(new RecipientEncryption(alice.privateKey).encrypt('hello'))
+      assert.equal(err.code, 'ERR_INVALID_ARGUMENT')
+    })
+
+    it('only encrypts with recipients', () => {
+      assert.equal(canEncrypt(new RecipientEncryption(alice.privateKey)), false)
+      assert.equal(canEncrypt(new RecipientEncryption(null, { recipients: [bob.publicKey] })), true)
+      assert.equal(canEncrypt(new SymmetricEncryption(SymmetricEncryption.generateKey())), true)
+    })
+  })
+
+  describe('Entry', () => {
+    it('stores the encrypted payload', async () => {
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, null, { encryption: key })
+      assert.equal(entry.payload, 'hello')
+      assert.equal(Entry.isEncrypted(entry), false)
+      const data = await storage.get(entry.hash)
+      assert.equal(data.toString().includes('hello'), false)
+    })
+
+    it('decrypts the payload when loading', async () => {
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, null, { encryption: key })
+      const res = await Entry.fromMultihash(storage, entry.hash, { encryption: key })
+      assert.equal(res.hash, entry.hash)
+      assert.equal(res.payload, 'hello')
+    })
+
+    it('keeps the payload encrypted without the key', async () => {
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, null, { encryption: key })
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(Entry.isEncrypted(res), true)
+      assert.equal(res.id, 'A')
+      assert.deepEqual(res.next, [])
+      const other = await Entry.decrypt(res, SymmetricEncryption.generateKey())
+      assert.equal(Entry.isEncrypted(other), true)
+      const decrypted = await Entry.decrypt(res, key)
+      assert.equal(decrypted.payload, 'hello')
+      assert.equal(Entry.isEncrypted(res), true)
+    })
+
+    it('verifies the signature of a decrypted entry', async () => {
+      const identity = MemoryIdentity.create()
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, identity, { encryption: key })
+      await Entry.verifyEntry(entry, identity)
+      const res = await Entry.fromMultihash(storage, entry.hash, { encryption: key })
+      await Entry.verifyEntry(res, identity)
+    })
+
+    it('encrypts the payload for the recipients', async () => {
+      const identity = MemoryIdentity.create()
+      const recipient = MemoryIdentity.create()
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, identity, { recipients: [recipient.publicKey] })
+      assert.equal(entry.payload, 'hello')
+      const opaque = await Entry.fromMultihash(storage, entry.hash, { encryption: new RecipientEncryption(identity.privateKey) })
+      assert.equal(Entry.isEncrypted(opaque), true)
+      await Entry.verifyEntry(opaque, identity)
+      const res = await Entry.fromMultihash(storage, entry.hash, { encryption: new RecipientEncryption(recipient.privateKey) })
+      assert.equal(res.payload, 'hello')
+    })
+  })
+
+  describe('Log', () => {
+    const createLog = async (options) => {
+      const log = new Log(storage, 'X', null, null, null, null, null, options)
+      await log.append('one')
+      await log.append('two')
+      await log.append('three')
+      return log
+    }
+
+    it('loads an encrypted log', async () => {
+      const log = await createLog({ encryption: key })
+      assert.deepEqual(payloads(log), ['one', 'two', 'three'])
+      const hash = await log.toMultihash()
+      const res = await Log.fromMultihash(storage, hash, -1, [], null, null, { encryption: key })
+      assert.deepEqual(payloads(res), ['one', 'two', 'three'])
+      assert.deepEqual(res.heads.map(e => e.payload), ['three'])
+    })
+
+    it('loads an encrypted log without the key', async () => {
+      const log = await createLog({ encryption: key })
+      const res = await Log.fromEntry(storage, log.heads, -1)
+      assert.deepEqual(res.values.map(e => e.hash), log.values.map(e => e.hash))
+      assert.deepEqual(res.values.map(e => e.clock.time), [1, 2, 3])
+      assert.equal(res.values.every(Entry.isEncrypted), true)
+    })
+
+    it('loads a signed encrypted log', async () => {
+      const identity = MemoryIdentity.create()
+      const log = new Log(storage, 'X', null, null, null, identity, [identity.publicKey], { encryption: key })
+      await log.append('one')
+      await log.append('two')
+      const res = await Log.fromEntryHash(storage, log.heads[0].hash, 'X', -1, [], identity, [identity.publicKey], null, { encryption: key })
+      assert.deepEqual(payloads(res), ['one', 'two'])
+    })
+
+    it('decrypts the entries when expanding', async () => {
+      const log = await createLog({ encryption: key })
+      const res = await Log.fromEntry(storage, log.heads, 1, [], null, { encryption: key })
+      const expanded = await Log.expand(storage, res, 2)
+      assert.deepEqual(payloads(expanded), ['one', 'two', 'three'])
+    })
+
+    it('decrypts the entries replicated by a log without the key', async () => {
+      const log1 = await createLog({ encryption: key })
+      const replica = await Log.fromEntry(storage, log1.heads, -1)
+      const log2 = new Log(storage, 'X', null, null, null, null, null, { encryption: key })
+      const { added } = await log2.join(replica)
+      assert.deepEqual(added.map(e => e.payload).sort(), ['one', 'three', 'two'])
+      assert.deepEqual(payloads(log2), ['one', 'two', 'three'])
+      assert.deepEqual(log2.heads.map(e => e.payload), ['three'])
+    })
+
+    it('loads the entries for their recipients', async () => {
+      const alice = MemoryIdentity.create('alice')
+      const bob = MemoryIdentity.create('bob')
+      const writers = [alice.publicKey, bob.publicKey]
+      const log = new Log(storage, 'X', null, null, null, alice, writers, { encryption: new RecipientEncryption(alice.privateKey) })
+      await log.append('to bob', { recipients: [bob.publicKey] })
+      await log.append('to both', { recipients: [alice.publicKey, bob.publicKey] })
+      const hash = await log.toMultihash()
+
+      const options = { encryption: new RecipientEncryption(bob.privateKey) }
+      const res1 = await Log.fromMultihash(storage, hash, -1, [], bob, null, options, writers)
+      assert.deepEqual(payloads(res1), ['to bob', 'to both'])
+
+      const res2 = await Log.fromMultihash(storage, hash, -1, [], alice, null, { encryption: new RecipientEncryption(alice.privateKey) }, writers)
+      assert.equal(Entry.isEncrypted(res2.values[0]), true)
+      assert.equal(res2.values[1].payload, 'to both')
+    })
+
+    it('fails to append to a log of a recipient without recipients', async () => {
+      const alice = MemoryIdentity.create('alice')
+      const bob = MemoryIdentity.create('bob')
+      const writers = [alice.publicKey, bob.publicKey]
+      const options = { encryption: new RecipientEncryption(bob.privateKey) }
+      const log = new Log(storage, 'X', null, null, null, bob, writers, options)
+      let err
+      try {
+        await log.append('from bob')
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Can\'t encrypt the payload, the encryption has no recipients')
+      assert.equal(log.length, 0)
+
+      await log.append('to alice', { recipients: [alice.publicKey] })
+      assert.equal(Entry.isEncrypted(await Entry.fromMultihash(storage, log.values[0].hash)), true)
+    })
+
+    it('appends unencrypted entries to a log of a recipient with allowPlaintext', async () => {
+      const alice = MemoryIdentity.create('alice')
+      const bob = MemoryIdentity.create('bob')
+      const writers = [alice.publicKey, bob.publicKey]
+      const log1 = new Log(storage, 'X', null, null, null, alice, writers)
+      await log1.append('to bob', { recipients: [bob.publicKey] })
+
+      const options = { encryption: new RecipientEncryption(bob.privateKey), allowPlaintext: true }
+      const log2 = await Log.fromMultihash(storage, await log1.toMultihash(), -1, [], bob, null, options, writers)
+      const entry1 = await log2.append('from bob')
+      const entry2 = await log2.append('to alice', { recipients: [alice.publicKey] })
+      assert.deepEqual(payloads(log2), ['to bob', 'from bob', 'to alice'])
+      assert.equal(Entry.isEncrypted(await Entry.fromMultihash(storage, entry1.hash)), false)
+      assert.equal(Entry.isEncrypted(await Entry.fromMultihash(storage, entry2.hash)), true)
+    })
+
+    it('decrypts the traversed entries', async () => {
+      const log = await createLog({ encryption: key })
+      const res = []
+      for await (const entry of Log.traverse(storage, log.heads.map(e => e.hash), { encryption: key })) {
+        res.push(entry.payload)
+      }
+      assert.deepEqual(res, ['three', 'two', 'one'])
+    })
+  })
+})
@@ -0,0 +1,183 @@
+'use strict'
+
+const assert = require('assert')
+const crypto = require('crypto')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const Codecs = require('../src/entry-codecs')
+const MemoryStorage = require('../src/storage/memory-storage')
+const { MemoryIdentity } = require('../src/identities')
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+// Signs all of the data it's given
+const identity = {
+  id: 'A',
+  publicKey: 'A',
+  sign: (data) => Promise.resolve(sha256(data)),
+  verify: (signature, publicKey, data) => Promise.resolve(signature === sha256(data)),
+}
+
+describe('Entry codecs', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  describe('registry', () => {
+    it('supports versions 0, 1 and 2', () => {
+      assert.deepEqual(Codecs.versions(), [0, 1, 2])
+      assert.equal(Codecs.isSupported(0), true)
+      assert.equal(Codecs.isSupported(1), true)
+      assert.equal(Codecs.isSupported(2), true)
+      assert.equal(Codecs.isSupported(3), false)
+    })
+
+    it('writes version 0 by default and version 2 if signed', () => {
+      assert.equal(Codecs.defaultVersion, 0)
+      assert.equal(Codecs.defaultSignedVersion, 2)
+    })
+
+    it('returns the codec of a version', () => {
+      assert.equal(Codecs.get(0).format, 'dag-pb')
+      assert.equal(Codecs.get(1).format, 'dag-cbor')
+      assert.equal(Codecs.get(2).format, 'dag-pb')
+    })
+
+    it('throws an error on an unsupported version', () => {
+      let err
+      try {
+        Codecs.get(3)
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Unsupported entry version: 3')
+    })
+  })
+
+  describe('create', () => {
+    it('creates an entry of the given version', async () => {
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, null, { version: 1 })
+      assert.equal(entry.v, 1)
+    })
+
+    it('throws an error when creating an entry of an unsupported version', async () => {
+      let err
+      try {
+        await Entry.create(storage, 'A', 'hello', [], null, null, { version: 3 })
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Unsupported entry version: 3')
+    })
+  })
+
+  describe('fromMultihash', () => {
+    it('reads entries of all versions', async () => {
+      const entry1 = await Entry.create(storage, 'A', 'hello1', [], null, null, { version: 0 })
+      const entry2 = await Entry.create(storage, 'A', 'hello2', [entry1], null, null, { version: 1 })
+      const entry3 = await Entry.create(storage, 'A', 'hello3', [entry2], null, null, { version: 0 })
+      assert.deepEqual(await Entry.fromMultihash(storage, entry1.hash), entry1)
+      assert.deepEqual(await Entry.fromMultihash(storage, entry2.hash), entry2)
+      assert.deepEqual(await Entry.fromMultihash(storage, entry3.hash), entry3)
+    })
+
+    it('verifies signed entries of all versions', async () => {
+      const payload = { b: 1, a: 2, c: { z: 1, y: [1, 2] } }
+      for (const version of Codecs.versions()) {
+        const entry = await Entry.create(storage, 'A', payload, [], null, identity, { version: version })
+        const res = await Entry.fromMultihash(storage, entry.hash)
+        assert.deepEqual(res.payload, payload)
+        await Entry.verifyEntry(res, identity)
+      }
+    })
+
+    it('signs the payload and the clock of entries of version 1 and 2', async () => {
+      const keys = MemoryIdentity.create()
+      const payload = 'a payload that is longer than the 32 bytes that are signed'
+      for (const version of [1, 2]) {
+        const entry = await Entry.create(storage, 'A', payload, [], null, keys, { version: version })
+        await Entry.verifyEntry(entry, keys)
+
+        const changes = [
+          { payload: payload.replace('longer', 'larger') },
+          { clock: { id: entry.clock.id, time: 2 } },
+        ]
+        for (const change of changes) {
+          let err
+          try {
+            await Entry.verifyEntry(Object.assign({}, entry, change), keys)
+          } catch (e) {
+            err = e
+          }
+          assert.notEqual(err, undefined)
+          assert.equal(err.message.startsWith('Invalid signature in entry'), true)
+        }
+      }
+    })
+
+    it('throws an error when reading an entry of an unsupported version', async () => {
+      const data = { hash: null, id: 'A', payload: 'hello', next: [], v: 3, clock: { id: 'A', time: 0 } }
+      const hash = await storage.put(Buffer.from(JSON.stringify(data)))
+      let err
+      try {
+        await Entry.fromMultihash(storage, hash)
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Unsupported entry version: 3')
+    })
+
+    it('throws an error when the version doesn\'t match the block format', async () => {
+      const data = { hash: null, id: 'A', payload: 'hello', next: [], v: 1, clock: { id: 'A', time: 0 } }
+      const hash = await storage.put(Buffer.from(JSON.stringify(data)))
+      let err
+      try {
+        await Entry.fromMultihash(storage, hash)
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Unsupported entry version: 1')
+    })
+  })
+
+  describe('Log', () => {
+    it('writes entries as version 0 by default', async () => {
+      const log = new Log(storage, 'A')
+      await log.append('one')
+      assert.equal(log.values[0].v, 0)
+    })
+
+    it('writes signed entries as version 2 by default', async () => {
+      const log = new Log(storage, 'A', null, null, null, identity, ['*'])
+      await log.append('one')
+      assert.equal(log.values[0].v, 2)
+    })
+
+    it('writes entries as the configured version', async () => {
+      const log = new Log(storage, 'A', null, null, null, null, [], { version: 1 })
+      await log.append('one')
+      await log.append('two')
+      assert.deepEqual(log.values.map(e => e.v), [1, 1])
+    })
+
+    it('loads a log with entries of different versions', async () => {
+      const log1 = new Log(storage, 'A', null, null, null, null, [], { version: 0 })
+      const log2 = new Log(storage, 'A', null, null, null, null, [], { version: 1 })
+      await log1.append('one')
+      await log2.join(log1)
+      await log2.append('two')
+      await log1.join(log2)
+      await log1.append('three')
+
+      const hash = await log1.toMultihash()
+      const res = await Log.fromMultihash(storage, hash, -1, [], null, null, { version: 1 })
+      assert.deepEqual(res.values.map(e => e.payload), ['one', 'two', 'three'])
+      assert.deepEqual(res.values.map(e => e.v), [0, 1, 0])
+
+      await res.append('four')
+      assert.equal(res.values[3].v, 1)
+    })
+  })
+})
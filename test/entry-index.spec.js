@@ -0,0 +1,131 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const EntryIndex = require('../src/entry-index')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const hashes = (entries) => entries.map(e => e.hash)
+
+describe('EntryIndex', function() {
+  let storage, entries
+
+  before(async () => {
+    storage = new MemoryStorage()
+    const log1 = new Log(storage, 'A')
+    const log2 = new Log(storage, 'B')
+    for (let i = 0; i < 10; i ++) {
+      await log1.append('A' + i)
+      await log2.append('B' + i)
+      if (i % 4 === 0) await log1.join(log2, -1, log1.id)
+    }
+    await log1.join(log2, -1, log1.id)
+    entries = log1.values
+  })
+
+  it('sorts the given entries', () => {
+    const index = new EntryIndex(entries.slice().reverse())
+    assert.equal(index.length, entries.length)
+    assert.deepEqual(hashes(index.values), hashes(entries))
+  })
+
+  it('ignores duplicate entries', () => {
+    const index = new EntryIndex(entries.concat(entries))
+    assert.equal(index.length, entries.length)
+    index.add(entries[3])
+    index.merge(entries.slice(0, 5))
+    assert.equal(index.length, entries.length)
+  })
+
+  it('returns a copy of the values', () => {
+    const index = new EntryIndex(entries)
+    index.values.reverse()
+    assert.deepEqual(hashes(index.values), hashes(entries))
+  })
+
+  it('returns the last entry', () => {
+    assert.equal(new EntryIndex(entries).last.hash, entries[entries.length - 1].hash)
+    assert.equal(new EntryIndex().last, undefined)
+  })
+
+  it('returns an entry by hash and position', () => {
+    const index = new EntryIndex(entries)
+    assert.equal(index.get(entries[2].hash), entries[2])
+    assert.equal(index.has(entries[2].hash), true)
+    assert.equal(index.has('abc'), false)
+    assert.equal(index.at(2), entries[2])
+  })
+
+  it('returns a slice of the values', () => {
+    const index = new EntryIndex(entries)
+    assert.deepEqual(hashes(index.slice(-3)), hashes(entries.slice(-3)))
+    assert.deepEqual(hashes(index.slice(2, 5)), hashes(entries.slice(2, 5)))
+  })
+
+  it('finds the position of the first matching entry', () => {
+    const index = new EntryIndex(entries)
+    assert.equal(index.findIndex(e => e.clock.time >= 5), entries.findIndex(e => e.clock.time >= 5))
+    assert.equal(index.findIndex(e => false), entries.length)
+  })
+
+  it('keeps the order when entries are added in any order', () => {
+    const index = new EntryIndex()
+    const shuffled = entries.slice().sort((a, b) => a.hash < b.hash ? -1 : 1)
+    shuffled.forEach(e => index.add(e))
+    assert.deepEqual(hashes(index.values), hashes(entries))
+  })
+
+  it('keeps the order when entries are merged', () => {
+    const index = new EntryIndex(entries.filter((e, idx) => idx % 3 === 0))
+    index.merge(entries.filter((e, idx) => idx % 3 !== 0).reverse())
+    assert.deepEqual(hashes(index.values), hashes(entries))
+  })
+
+  it('removes all but the latest entries', () => {
+    const index = new EntryIndex(entries)
+    index.truncate(4)
+    assert.deepEqual(hashes(index.values), hashes(entries.slice(-4)))
+    assert.equal(index.has(entries[0].hash), false)
+    index.truncate(10)
+    assert.equal(index.length, 4)
+  })
+
+  describe('Log', () => {
+    it('keeps the values sorted when appending and joining', async () => {
+      const log1 = new Log(storage, 'X')
+      const log2 = new Log(storage, 'Y')
+      for (let i = 0; i < 20; i ++) {
+        await log1.append('X' + i)
+        if (i % 2 === 0) await log2.append('Y' + i)
+        if (i % 5 === 0) await log2.join(log1, -1, log2.id)
+      }
+      await log1.join(log2, -1, log1.id)
+
+      const sorted = Object.values(log1._entryIndex._index).sort(Entry.compare)
+      assert.deepEqual(hashes(log1.values), hashes(sorted))
+      assert.equal(log1.length, sorted.length)
+    })
+
+    it('returns the last entry and a slice of the values', async () => {
+      const log = new Log(storage, 'X')
+      await log.append('one')
+      await log.append('two')
+      await log.append('three')
+      assert.equal(log.last.payload, 'three')
+      assert.deepEqual(log.slice(-2).map(e => e.payload), ['two', 'three'])
+      assert.deepEqual(log.slice(0, 1).map(e => e.payload), ['one'])
+    })
+
+    it('truncates to the given size on join', async () => {
+      const log1 = new Log(storage, 'X')
+      const log2 = new Log(storage, 'Y')
+      await log1.append('one')
+      await log2.append('two')
+      await log2.append('three')
+      await log1.join(log2, 2, log1.id)
+      assert.equal(log1.length, 2)
+      assert.deepEqual(log1.values.map(e => e.payload), ['two', 'three'])
+    })
+  })
+})
@@ -122,6 +122,27 @@ apis.forEach((IPFS) => {
       })
     })
 
+    describe('create version 1', () => {
+      it('creates an entry stored as dag-cbor', async () => {
+        const expectedHash = 'zdpuArESEaZvYjHHMMvv6xSwWKCRU5Awhn9n5xxdB66mz9bB7'
+        const entry = await Entry.create(ipfs, 'A', 'hello', [], null, null, { version: 1 })
+        assert.equal(entry.hash, expectedHash)
+        assert.equal(entry.id, 'A')
+        assert.equal(entry.clock.id, 'A')
+        assert.equal(entry.clock.time, 0)
+        assert.equal(entry.v, 1)
+        assert.equal(entry.payload, 'hello')
+        assert.equal(entry.next.length, 0)
+      })
+
+      it('stores next as CID links', async () => {
+        const entry1 = await Entry.create(ipfs, 'A', 'hello world')
+        const entry2 = await Entry.create(ipfs, 'A', 'hello again', [entry1], null, null, { version: 1 })
+        const res = await ipfs.dag.get(entry2.hash, 'next/0')
+        assert.equal(JSON.parse(res.value.data).payload, 'hello world')
+      })
+    })
+
     describe('toMultihash', () => {
       it('returns an ipfs hash', async () => {
         const expectedHash = 'QmZHattK3ayuXJudvUcQqxM6Mh2nUzxjBKNgLW22cFYMKg'
@@ -154,6 +175,22 @@ apis.forEach((IPFS) => {
         assert.equal(final.hash, expectedHash)
       })
 
+      it('creates a version 1 entry from ipfs hash', async () => {
+        const expectedHash = 'zdpuAzoV8sbkvJEqbB7xM9xupz9FHhKHzwbRASRDRZERtCcRJ'
+        const payload1 = 'hello world'
+        const payload2 = 'hello again'
+        const entry1 = await Entry.create(ipfs, 'A', payload1)
+        const entry2 = await Entry.create(ipfs, 'A', payload2, [entry1], null, null, { version: 1 })
+        const final = await Entry.fromMultihash(ipfs, entry2.hash)
+        assert.equal(final.id, 'A')
+        assert.equal(final.payload, payload2)
+        assert.equal(final.v, 1)
+        assert.equal(final.next.length, 1)
+        assert.equal(final.next[0], entry1.hash)
+        assert.equal(final.hash, expectedHash)
+        assert.deepEqual(final, entry2)
+      })
+
       it('throws an error if ipfs is not present', async () => {
         try {
           const entry = await Entry.fromMultihash()
@@ -0,0 +1,178 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const Keystore = require('orbit-db-keystore')
+const Identities = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const { KeystoreIdentity, MemoryIdentity } = Identities
+
+describe('Identities', function() {
+  const keystore = new Keystore('./test/keystore')
+  const data = Buffer.from('hello')
+
+  let key1, storage
+
+  before(() => {
+    key1 = keystore.getKey('A') || keystore.createKey('A')
+  })
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  describe('KeystoreIdentity', () => {
+    it('has the public key of the key', () => {
+      const identity = new KeystoreIdentity(keystore, key1, 'A')
+      assert.equal(identity.id, 'A')
+      assert.equal(identity.publicKey, key1.getPublic('hex'))
+    })
+
+    it('uses the public key as the id by default', () => {
+      const identity = new KeystoreIdentity(keystore, key1)
+      assert.equal(identity.id, key1.getPublic('hex'))
+    })
+
+    it('signs and verifies', async () => {
+      const identity = new KeystoreIdentity(keystore, key1)
+      const signature = await identity.sign(data)
+      assert.equal(await identity.verify(signature, identity.publicKey, data), true)
+      assert.equal(await identity.verify(signature, identity.publicKey, Buffer.from('world')), false)
+      assert.equal(await identity.verify('invalid', identity.publicKey, data), false)
+    })
+  })
+
+  describe('MemoryIdentity', () => {
+    it('creates a new key pair', () => {
+      const identity1 = MemoryIdentity.create('A')
+      const identity2 = MemoryIdentity.create('A')
+      assert.equal(identity1.id, 'A')
+      assert.notEqual(identity1.publicKey, identity2.publicKey)
+    })
+
+    it('restores a key pair from the private key', () => {
+      const identity1 = MemoryIdentity.create()
+      const identity2 = MemoryIdentity.fromPrivateKey(identity1.privateKey)
+      assert.equal(identity2.publicKey, identity1.publicKey)
+    })
+
+    it('verifies signatures of a keystore identity and vice versa', async () => {
+      const identity1 = new KeystoreIdentity(keystore, key1)
+      const identity2 = MemoryIdentity.create()
+      const signature1 = await identity1.sign(data)
+      const signature2 = await identity2.sign(data)
+      assert.equal(await identity2.verify(signature1, identity1.publicKey, data), true)
+      assert.equal(await identity1.verify(signature2, identity2.publicKey, data), true)
+      assert.equal(await identity2.verify(signature1, identity2.publicKey, data), false)
+    })
+  })
+
+  describe('toIdentity', () => {
+    it('returns an identity as-is', () => {
+      const identity = MemoryIdentity.create()
+      assert.equal(Identities.toIdentity(identity, keystore), identity)
+    })
+
+    it('wraps a key with the keystore', () => {
+      const identity = Identities.toIdentity(key1, keystore)
+      assert.equal(identity instanceof KeystoreIdentity, true)
+      assert.equal(identity.publicKey, key1.getPublic('hex'))
+    })
+
+    it('keeps a key in memory without a keystore', () => {
+      const identity = Identities.toIdentity(key1)
+      assert.equal(identity instanceof MemoryIdentity, true)
+      assert.equal(identity.publicKey, key1.getPublic('hex'))
+    })
+
+    it('returns null without an identity', () => {
+      assert.equal(Identities.toIdentity(null, keystore), null)
+    })
+
+    it('throws if the argument is neither an identity nor a key', () => {
+      let err
+      try {
+        Identities.toIdentity('A', keystore)
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.code, 'ERR_INVALID_ARGUMENT')
+      assert.equal(err.message, 'Identity must be an identity or a key pair')
+    })
+  })
+
+  describe('Entry', () => {
+    it('signs an entry with an identity', async () => {
+      const identity = MemoryIdentity.create()
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, identity)
+      assert.equal(entry.key, identity.publicKey)
+      assert.notEqual(entry.sig, undefined)
+      await Entry.verifyEntry(entry, identity)
+    })
+
+    it('throws if the signature doesn\'t verify', async () => {
+      const identity = MemoryIdentity.create()
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, identity)
+      entry.key = MemoryIdentity.create().publicKey
+      let err
+      try {
+        await Entry.verifyEntry(entry, identity)
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, `Invalid signature in entry ${entry.hash}`)
+    })
+
+    it('signs and verifies an entry with the keystore arguments', async () => {
+      const entry = { hash: null, id: 'A', payload: 'hello', next: [], v: 2, clock: { id: 'A', time: 1 } }
+      await Entry.signEntry(keystore, entry, key1)
+      assert.equal(entry.key, key1.getPublic('hex'))
+      await Entry.verifyEntry(entry, keystore)
+      await Entry.verifyEntry(entry, new KeystoreIdentity(keystore, key1))
+
+      entry.payload = 'hello again'
+      let err
+      try {
+        await Entry.verifyEntry(entry, keystore)
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.code, 'ERR_INVALID_SIGNATURE')
+    })
+  })
+
+  describe('Log', () => {
+    it('signs entries without a keystore in the storage', async () => {
+      const identity = MemoryIdentity.create('A')
+      const log = new Log(storage, 'A', null, null, null, identity, [identity.publicKey])
+      const entry = await log.append('one')
+      assert.equal(storage.keystore, undefined)
+      assert.equal(entry.key, identity.publicKey)
+      await Entry.verifyEntry(entry, identity)
+    })
+
+    it('joins logs signed with different kinds of identities', async () => {
+      const identity1 = new KeystoreIdentity(keystore, key1)
+      const identity2 = MemoryIdentity.create()
+      const writers = [identity1.publicKey, identity2.publicKey]
+      const log1 = new Log(storage, 'A', null, null, null, identity1, writers)
+      const log2 = new Log(storage, 'B', null, null, null, identity2, writers)
+      await log1.append('one')
+      await log2.append('two')
+      await log1.join(log2, -1, log1.id)
+      // Concurrent entries are ordered by writer
+      const expected = identity1.publicKey < identity2.publicKey ? ['one', 'two'] : ['two', 'one']
+      assert.deepEqual(log1.values.map(e => e.payload), expected)
+    })
+
+    it('passes the identity to the loaded log', async () => {
+      const identity = MemoryIdentity.create()
+      const log = new Log(storage, 'A', null, null, null, identity, ['*'])
+      await log.append('one')
+      const res = await Log.fromEntry(storage, log.heads, -1, [], null, null, identity, ['*'])
+      assert.equal(res._identity, identity)
+    })
+  })
+})
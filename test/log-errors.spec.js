@@ -0,0 +1,109 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const LogError = require('../src/log-errors')
+const { MemoryIdentity } = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+describe('Log errors', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  const thrown = async (fn) => {
+    try {
+      await fn()
+    } catch (e) {
+      return e
+    }
+  }
+
+  it('are LogErrors with a name and a code', () => {
+    const err = new LogError.NotALogError()
+    assert.equal(err instanceof Error, true)
+    assert.equal(err instanceof LogError.LogError, true)
+    assert.equal(err instanceof LogError.InvalidArgumentError, true)
+    assert.equal(err.name, 'NotALogError')
+    assert.equal(err.code, 'ERR_NOT_A_LOG')
+    assert.equal(err.message, 'Given argument is not an instance of Log')
+    assert.notEqual(err.stack, undefined)
+  })
+
+  it('has a unique code for every error', () => {
+    const errors = [
+      new LogError.ImmutableDBNotDefinedError(),
+      new LogError.IpfsNotDefinedError(),
+      new LogError.LogNotDefinedError(),
+      new LogError.NotALogError(),
+      new LogError.InvalidHashError('hash'),
+      new LogError.InvalidEntryError('entry'),
+      new LogError.AccessDeniedError(),
+      new LogError.EntryVerificationError([]),
+      new LogError.InvalidSignatureError({ hash: 'hash' }),
+      new LogError.EntryNotFoundError('hash'),
+      new LogError.BlockNotFoundError('hash'),
+      new LogError.EmptyLogError(),
+      new LogError.UnsupportedVersionError(2),
+      new LogError.UnsupportedFormatError('raw', 'block'),
+      new LogError.FetchTimeoutError('timeout', 100),
+      new LogError.ReplicatorStoppedError(),
+    ]
+    const errorCodes = errors.map(e => e.code)
+    assert.equal(new Set(errorCodes).size, errorCodes.length)
+    errorCodes.forEach(code => assert.equal(/^ERR_[A-Z_]+$/.test(code), true))
+  })
+
+  it('throws an AccessDeniedError when not allowed to write', async () => {
+    const identity = MemoryIdentity.create()
+    const log = new Log(storage, 'A', null, null, null, identity, [])
+    const err = await thrown(() => log.append('one'))
+    assert.equal(err instanceof LogError.AccessDeniedError, true)
+    assert.equal(err.code, 'ERR_ACCESS_DENIED')
+  })
+
+  it('throws an EntryVerificationError with the rejected entries when loading', async () => {
+    const identity = MemoryIdentity.create()
+    const log = new Log(storage, 'A')
+    const entry = await log.append('one')
+    const err = await thrown(() => Log.fromEntry(storage, log.heads, -1, [], null, null, identity, ['*']))
+    assert.equal(err.code, 'ERR_ENTRY_VERIFICATION')
+    assert.deepEqual(err.rejected, [{ entry: entry, reason: Log.RejectReasons.MissingKey }])
+  })
+
+  it('throws an InvalidSignatureError with the entry', async () => {
+    const identity = MemoryIdentity.create()
+    const entry = await Entry.create(storage, 'A', 'one', [], null, identity)
+    entry.key = MemoryIdentity.create().publicKey
+    const err = await thrown(() => Entry.verifyEntry(entry, identity))
+    assert.equal(err.code, 'ERR_INVALID_SIGNATURE')
+    assert.equal(err.entry, entry)
+  })
+
+  it('throws an InvalidEntryError for invalid entries', async () => {
+    const err = await thrown(() => Entry.create(storage, 'A'))
+    assert.equal(err.code, 'ERR_INVALID_ENTRY')
+    assert.equal(err.message, 'Entry requires data')
+  })
+
+  it('throws an EntryNotFoundError for unknown iterator bounds', async () => {
+    const log = new Log(storage, 'A')
+    const err = await thrown(() => log.iterator({ gt: 'hash' }).next())
+    assert.equal(err.code, 'ERR_ENTRY_NOT_FOUND')
+    assert.equal(err.hash, 'hash')
+  })
+
+  it('rejects with a BlockNotFoundError for missing blocks', async () => {
+    const err = await thrown(() => Entry.fromMultihash(storage, 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn'))
+    assert.equal(err.code, 'ERR_BLOCK_NOT_FOUND')
+  })
+
+  it('throws an InvalidHashError for invalid hashes', async () => {
+    const err = await thrown(() => Log.fromMultihash(storage))
+    assert.equal(err.code, 'ERR_INVALID_HASH')
+    assert.equal(err.message, 'Invalid hash: undefined')
+  })
+})
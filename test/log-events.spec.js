@@ -0,0 +1,105 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Keystore = require('orbit-db-keystore')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const hashes = (entries) => entries.map(e => e.hash)
+
+describe('Log - Events', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  describe('append', () => {
+    it('emits the appended entry', async () => {
+      const log = new Log(storage, 'A')
+      let appended = []
+      log.on('append', entry => appended.push(entry))
+      const entry1 = await log.append('one')
+      const entry2 = await log.append('two')
+      assert.deepEqual(hashes(appended), [entry1.hash, entry2.hash])
+    })
+
+    it('emits the old and new heads', async () => {
+      const log = new Log(storage, 'A')
+      let events = []
+      log.on('heads', (oldHeads, newHeads) => events.push([hashes(oldHeads), hashes(newHeads)]))
+      const entry1 = await log.append('one')
+      const entry2 = await log.append('two')
+      assert.deepEqual(events, [
+        [[], [entry1.hash]],
+        [[entry1.hash], [entry2.hash]],
+      ])
+    })
+  })
+
+  describe('join', () => {
+    let log1, log2
+
+    beforeEach(async () => {
+      log1 = new Log(storage, 'A')
+      log2 = new Log(storage, 'B')
+      await log1.append('a0')
+      await log2.join(log1, -1, log2.id)
+    })
+
+    it('emits the new entries', async () => {
+      const b0 = await log2.append('b0')
+      const b1 = await log2.append('b1')
+      let joined = []
+      log1.on('join', entries => joined.push(hashes(entries).sort()))
+      await log1.join(log2, -1, log1.id)
+      assert.deepEqual(joined, [[b0.hash, b1.hash].sort()])
+    })
+
+    it('emits the old and new heads', async () => {
+      const a1 = await log1.append('a1')
+      const b0 = await log2.append('b0')
+      let events = []
+      log1.on('heads', (oldHeads, newHeads) => events.push([hashes(oldHeads), hashes(newHeads).sort()]))
+      await log1.join(log2, -1, log1.id)
+      assert.deepEqual(events, [[[a1.hash], [a1.hash, b0.hash].sort()]])
+    })
+
+    it('doesn\'t emit when nothing was joined', async () => {
+      let events = 0
+      log1.on('join', () => events ++)
+      log1.on('heads', () => events ++)
+      await log1.join(log2, -1, log1.id)
+      assert.equal(events, 0)
+    })
+  })
+
+  describe('rejected', () => {
+    const keystore = new Keystore('./test/keystore')
+
+    let key1, key2
+
+    before(() => {
+      key1 = keystore.getKey('A') || keystore.createKey('A')
+      key2 = keystore.getKey('B') || keystore.createKey('B')
+    })
+
+    it('emits the entries that are not allowed in the log', async () => {
+      storage.keystore = keystore
+      const log1 = new Log(storage, 'A', null, null, null, key1, [key1.getPublic('hex')])
+      const log2 = new Log(storage, 'A', null, null, null, key2, [key2.getPublic('hex')])
+      await log1.append('one')
+      const entry = await log2.append('two')
+
+      let rejected = []
+      let joined = 0
+      log1.on('rejected', entries => rejected.push(hashes(entries)))
+      log1.on('join', () => joined ++)
+      await log1.join(log2, -1, log1.id)
+
+      assert.deepEqual(rejected, [[entry.hash]])
+      assert.equal(joined, 0)
+      assert.equal(log1.length, 1)
+    })
+  })
+})
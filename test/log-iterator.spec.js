@@ -0,0 +1,156 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const toArray = async (iterator) => {
+  let result = []
+  for await (const entry of iterator) {
+    result.push(entry)
+  }
+  return result
+}
+
+const payloads = (entries) => entries.map(e => e.payload)
+
+describe('Log - Iterator', function() {
+  const amount = 100
+
+  let storage, log
+
+  before(async () => {
+    storage = new MemoryStorage()
+    log = new Log(storage, 'A')
+    for (let i = 0; i < amount; i ++) {
+      await log.append('entry' + i)
+    }
+  })
+
+  it('returns an async iterator', () => {
+    const iterator = log.iterator()
+    assert.equal(typeof iterator[Symbol.asyncIterator], 'function')
+    assert.equal(typeof iterator.next, 'function')
+  })
+
+  it('iterates over all entries in order', async () => {
+    const entries = await toArray(log.iterator())
+    assert.equal(entries.length, amount)
+    assert.deepEqual(entries.map(e => e.hash), log.values.map(e => e.hash))
+  })
+
+  it('iterates over all entries in reverse order', async () => {
+    const entries = await toArray(log.iterator({ reverse: true }))
+    assert.deepEqual(entries.map(e => e.hash), log.values.reverse().map(e => e.hash))
+  })
+
+  it('returns the last n entries', async () => {
+    const entries = await toArray(log.iterator({ limit: 3, reverse: true }))
+    assert.deepEqual(payloads(entries), ['entry99', 'entry98', 'entry97'])
+  })
+
+  it('returns the first n entries', async () => {
+    const entries = await toArray(log.iterator({ limit: 3 }))
+    assert.deepEqual(payloads(entries), ['entry0', 'entry1', 'entry2'])
+  })
+
+  it('returns nothing when limit is 0', async () => {
+    assert.deepEqual(await toArray(log.iterator({ limit: 0 })), [])
+    assert.deepEqual(await toArray(log.iterator({ limit: 0, reverse: true })), [])
+  })
+
+  describe('bounds as entry hashes', () => {
+    it('returns entries after an entry', async () => {
+      const entries = await toArray(log.iterator({ gt: log.values[96].hash }))
+      assert.deepEqual(payloads(entries), ['entry97', 'entry98', 'entry99'])
+    })
+
+    it('returns entries after and including an entry', async () => {
+      const entries = await toArray(log.iterator({ gte: log.values[97].hash }))
+      assert.deepEqual(payloads(entries), ['entry97', 'entry98', 'entry99'])
+    })
+
+    it('returns entries before an entry', async () => {
+      const entries = await toArray(log.iterator({ lt: log.values[3].hash }))
+      assert.deepEqual(payloads(entries), ['entry0', 'entry1', 'entry2'])
+    })
+
+    it('returns entries before and including an entry', async () => {
+      const entries = await toArray(log.iterator({ lte: log.values[2].hash }))
+      assert.deepEqual(payloads(entries), ['entry0', 'entry1', 'entry2'])
+    })
+
+    it('returns entries between two entries', async () => {
+      const entries = await toArray(log.iterator({ gt: log.values[10].hash, lte: log.values[13].hash }))
+      assert.deepEqual(payloads(entries), ['entry11', 'entry12', 'entry13'])
+    })
+
+    it('returns a page of entries before an entry', async () => {
+      const entries = await toArray(log.iterator({ lt: log.values[50].hash, limit: 2, reverse: true }))
+      assert.deepEqual(payloads(entries), ['entry49', 'entry48'])
+    })
+
+    it('returns a page of entries after an entry', async () => {
+      const entries = await toArray(log.iterator({ gt: log.values[50].hash, limit: 2 }))
+      assert.deepEqual(payloads(entries), ['entry51', 'entry52'])
+    })
+
+    it('throws an error when the entry is not in the log', async () => {
+      let err
+      try {
+        await toArray(log.iterator({ gt: 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn' }))
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Entry not found: QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn')
+    })
+  })
+
+  describe('bounds as clock times', () => {
+    it('returns entries after a clock time', async () => {
+      const entries = await toArray(log.iterator({ gt: 97 }))
+      assert.deepEqual(payloads(entries), ['entry97', 'entry98', 'entry99'])
+    })
+
+    it('returns entries between two clock times', async () => {
+      const entries = await toArray(log.iterator({ gte: 10, lt: 13 }))
+      assert.deepEqual(payloads(entries), ['entry9', 'entry10', 'entry11'])
+    })
+
+    it('returns entries before and including a clock time in reverse order', async () => {
+      const entries = await toArray(log.iterator({ lte: 3, reverse: true }))
+      assert.deepEqual(payloads(entries), ['entry2', 'entry1', 'entry0'])
+    })
+  })
+
+  describe('concurrent entries', () => {
+    it('iterates in the same order as values', async () => {
+      const log1 = new Log(storage, 'A')
+      const log2 = new Log(storage, 'B')
+      const log3 = new Log(storage, 'C')
+      for (let i = 0; i < 10; i ++) {
+        await log1.append('A' + i)
+        await log2.append('B' + i)
+        if (i % 3 === 0) await log3.append('C' + i)
+        if (i % 2 === 0) await log1.join(log2, -1, log1.id)
+        if (i % 4 === 0) await log3.join(log1, -1, log3.id)
+      }
+      await log1.join(log2, -1, log1.id)
+      await log1.join(log3, -1, log1.id)
+
+      const entries = await toArray(log1.iterator())
+      const reversed = await toArray(log1.iterator({ reverse: true }))
+      assert.deepEqual(entries.map(e => e.hash), log1.values.map(e => e.hash))
+      assert.deepEqual(reversed.map(e => e.hash), log1.values.reverse().map(e => e.hash))
+    })
+  })
+
+  it('stops traversing when the consumer stops', async () => {
+    let count = 0
+    for await (const entry of log.iterator({ reverse: true })) {
+      count ++
+      if (count === 5) break
+    }
+    assert.equal(count, 5)
+  })
+})
@@ -0,0 +1,284 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const { MemoryIdentity } = require('../src/identities')
+const { KeyListAccessController } = require('../src/access-controllers')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const hashes = (entries) => entries.map(e => e.hash)
+
+describe('Log - Join', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  it('joins only the new entries', async () => {
+    const log1 = new Log(storage, 'A')
+    const log2 = new Log(storage, 'B')
+    for (let i = 0; i < 10; i ++) {
+      await log1.append('a' + i)
+    }
+    await log2.join(log1, -1, log2.id)
+    await log2.append('b0')
+    await log2.append('b1')
+
+    let visited = 0
+    const get = log2.get.bind(log2)
+    log2.get = (hash) => {
+      visited ++
+      return get(hash)
+    }
+
+    await log1.join(log2, -1, log1.id)
+    assert.equal(log1.length, 12)
+    assert.equal(visited, 2)
+  })
+
+  it('has the heads of both logs after joining diverged logs', async () => {
+    const log1 = new Log(storage, 'A')
+    const log2 = new Log(storage, 'B')
+    await log1.append('a0')
+    await log2.join(log1, -1, log2.id)
+    const a1 = await log1.append('a1')
+    const b1 = await log2.append('b1')
+    await log1.join(log2, -1, log1.id)
+    assert.deepEqual(hashes(log1.heads).sort(), [a1.hash, b1.hash].sort())
+  })
+
+  it('keeps the heads when joining a log that is behind', async () => {
+    const log1 = new Log(storage, 'A')
+    const log2 = new Log(storage, 'B')
+    await log1.append('a0')
+    await log2.join(log1, -1, log2.id)
+    await log1.append('a1')
+    await log1.append('a2')
+    await log1.join(log2, -1, log1.id)
+    assert.deepEqual(hashes(log1.heads), [log1.last.hash])
+  })
+
+  it('replaces the heads referenced by the new entries', async () => {
+    const log1 = new Log(storage, 'A')
+    const log2 = new Log(storage, 'B')
+    await log1.append('a0')
+    await log2.join(log1, -1, log2.id)
+    await log2.append('b0')
+    await log2.append('b1')
+    await log1.join(log2, -1, log1.id)
+    assert.deepEqual(hashes(log1.heads), hashes(log2.heads))
+  })
+
+  it('sorts the joined values', async () => {
+    const log1 = new Log(storage, 'A')
+    const log2 = new Log(storage, 'B')
+    for (let i = 0; i < 20; i ++) {
+      await log1.append('a' + i)
+      await log2.append('b' + i)
+      if (i % 3 === 0) await log2.join(log1, -1, log2.id)
+    }
+    await log1.join(log2, -1, log1.id)
+    const values = log1.values
+    assert.deepEqual(hashes(values), hashes(values.slice().sort(Entry.compare)))
+    assert.equal(log1.length, 40)
+    assert.deepEqual(hashes(log1.heads).sort(), hashes(Log.findHeads(values)).sort())
+  })
+  describe('result', () => {
+    let identity1, identity2
+
+    before(() => {
+      identity1 = MemoryIdentity.create('A')
+      identity2 = MemoryIdentity.create('B')
+    })
+
+    const rejected = (res) => res.rejected.map(e => [e.entry.hash, e.reason])
+
+    it('returns the added entries', async () => {
+      const log1 = new Log(storage, 'A')
+      const log2 = new Log(storage, 'B')
+      await log1.append('a0')
+      const b0 = await log2.append('b0')
+      const b1 = await log2.append('b1')
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(hashes(res.added).sort(), [b0.hash, b1.hash].sort())
+      assert.deepEqual(res.rejected, [])
+      assert.deepEqual(await log1.join(log2, -1, log1.id), { added: [], rejected: [] })
+    })
+
+    it('returns the entries of writers that are not allowed', async () => {
+      const log1 = new Log(storage, 'A', null, null, null, identity1, [identity1.publicKey])
+      const log2 = new Log(storage, 'A', null, null, null, identity2, ['*'])
+      await log1.append('a0')
+      const b0 = await log2.append('b0')
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(res.added, [])
+      assert.deepEqual(rejected(res), [[b0.hash, Log.RejectReasons.NotAllowed]])
+      assert.equal(log1.length, 1)
+    })
+
+    it('returns the entries that are not signed', async () => {
+      const log1 = new Log(storage, 'A', null, null, null, identity1, ['*'])
+      const log2 = new Log(storage, 'B')
+      const b0 = await log2.append('b0')
+      const b1 = await log2.append('b1')
+      delete b0.key
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(rejected(res).sort(), [
+        [b0.hash, Log.RejectReasons.MissingKey],
+        [b1.hash, Log.RejectReasons.MissingKey],
+      ].sort())
+
+      b0.key = identity2.publicKey
+      assert.deepEqual(rejected(await log1.join(log2, -1, log1.id)).sort(), [
+        [b0.hash, Log.RejectReasons.MissingSignature],
+        [b1.hash, Log.RejectReasons.MissingKey],
+      ].sort())
+    })
+
+    it('returns the entries with a signature that doesn\'t verify', async () => {
+      const log1 = new Log(storage, 'A', null, null, null, identity1, ['*'])
+      const log2 = new Log(storage, 'B', null, null, null, identity2, ['*'])
+      const b0 = await log2.append('b0')
+      b0.sig = await identity2.sign(Buffer.from('b1'))
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(rejected(res), [[b0.hash, Log.RejectReasons.InvalidSignature]])
+    })
+
+    it('returns the signed entries of version 0 without legacySignatures', async () => {
+      const log1 = new Log(storage, 'A', null, null, null, identity1, ['*'])
+      const log2 = new Log(storage, 'A', null, null, null, identity1, ['*'], { legacySignatures: true })
+      const log3 = new Log(storage, 'A', null, null, null, identity2, ['*'], { version: 0 })
+      const b0 = await log3.append('b0')
+      const res = await log1.join(log3, -1, log1.id)
+      assert.deepEqual(rejected(res), [[b0.hash, Log.RejectReasons.LegacySignature]])
+      assert.deepEqual(hashes((await log2.join(log3, -1, log2.id)).added), [b0.hash])
+    })
+
+    it('returns the entries of other logs with strictId', async () => {
+      const options = { strictId: true }
+      const log1 = new Log(storage, 'A', null, null, null, identity1, ['*'], options)
+      const log2 = new Log(storage, 'A', null, null, null, identity2, ['*'])
+      const log3 = new Log(storage, 'B', null, null, null, identity2, ['*'])
+      await log2.append('a0')
+      const b0 = await log3.append('b0')
+      assert.equal((await log1.join(log2, -1, log1.id)).added.length, 1)
+      const res = await log1.join(log3, -1, log1.id)
+      assert.deepEqual(rejected(res), [[b0.hash, Log.RejectReasons.WrongId]])
+    })
+
+    it('returns the entries of other logs if only the owner can write', async () => {
+      const log1 = new Log(storage, 'A', null, null, null, identity1, [identity1.publicKey])
+      const log2 = new Log(storage, 'B', null, null, null, identity1, ['*'])
+      const b0 = await log2.append('b0')
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(rejected(res), [[b0.hash, Log.RejectReasons.WrongId]])
+
+      const log3 = new Log(storage, 'A', null, null, null, identity1, [identity1.publicKey], { strictId: false })
+      assert.deepEqual(hashes((await log3.join(log2, -1, log3.id)).added), [b0.hash])
+    })
+  })
+  describe('partial join', () => {
+    let identity1, identity2, identity3
+
+    before(() => {
+      identity1 = MemoryIdentity.create('A')
+      identity2 = MemoryIdentity.create('B')
+      identity3 = MemoryIdentity.create('C')
+    })
+
+    const payloads = (entries) => entries.map(e => e.payload)
+
+    // Log with entries of two writers: a1 <- b1 <- a2
+    const createLog = async () => {
+      const log1 = new Log(storage, 'X', null, null, null, identity1, ['*'])
+      const log2 = new Log(storage, 'X', null, null, null, identity2, ['*'])
+      await log1.append('a1')
+      await log2.join(log1, -1, log2.id)
+      await log2.append('b1')
+      await log1.join(log2, -1, log1.id)
+      await log1.append('a2')
+      return log1
+    }
+
+    it('adds the entries that verify and quarantines the rejected entries', async () => {
+      const log1 = new Log(storage, 'X', null, null, null, identity1, [identity1.publicKey, identity3.publicKey], { partialJoin: true })
+      const log2 = new Log(storage, 'X', null, null, null, identity2, ['*'])
+      const log3 = new Log(storage, 'X', null, null, null, identity3, ['*'])
+      const b1 = await log2.append('b1')
+      await log3.append('c1')
+      await log2.join(log3, -1, log2.id)
+
+      let rejected = []
+      log1.on('rejected', entries => rejected.push(hashes(entries)))
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(payloads(res.added), ['c1'])
+      assert.deepEqual(res.rejected, [{ entry: b1, reason: Log.RejectReasons.NotAllowed }])
+      assert.deepEqual(log1.quarantine, res.rejected)
+      assert.deepEqual(rejected, [[b1.hash]])
+      assert.deepEqual(payloads(log1.values), ['c1'])
+      assert.deepEqual(payloads(log1.heads), ['c1'])
+    })
+
+    it('keeps the heads consistent when a rejected entry is in the middle', async () => {
+      const log = await createLog()
+      const log1 = new Log(storage, 'X', null, null, null, identity1, [identity1.publicKey], { partialJoin: true })
+      await log1.join(log, -1, log1.id)
+      assert.deepEqual(payloads(log1.values), ['a1', 'a2'])
+      // a1 was only referenced by the rejected entry
+      assert.deepEqual(payloads(log1.heads).sort(), ['a1', 'a2'])
+      assert.deepEqual(payloads(log1.quarantine.map(e => e.entry)), ['b1'])
+
+      const a3 = await log1.append('a3')
+      assert.deepEqual(payloads(log1.heads), ['a3'])
+      assert.deepEqual(a3.next.sort(), hashes(log1.values.slice(0, 2)).sort())
+    })
+
+    it('adds the quarantined entries that verify when retried', async () => {
+      const log = await createLog()
+      const access = new KeyListAccessController([identity1.publicKey])
+      const log1 = new Log(storage, 'X', null, null, null, identity1, access, { partialJoin: true })
+      await log1.join(log, -1, log1.id)
+
+      let res = await log1.retryQuarantine()
+      assert.deepEqual(res.added, [])
+      assert.deepEqual(payloads(res.rejected.map(e => e.entry)), ['b1'])
+      assert.equal(log1.quarantine.length, 1)
+
+      access.keys.push(identity2.publicKey)
+      let joined = []
+      log1.on('join', entries => joined.push(payloads(entries)))
+      res = await log1.retryQuarantine()
+      assert.deepEqual(payloads(res.added), ['b1'])
+      assert.deepEqual(res.rejected, [])
+      assert.deepEqual(log1.quarantine, [])
+      assert.deepEqual(joined, [['b1']])
+      assert.deepEqual(payloads(log1.values), ['a1', 'b1', 'a2'])
+      assert.deepEqual(hashes(log1.heads), hashes(log.heads))
+    })
+
+    it('removes an entry from the quarantine when it\'s joined again and verifies', async () => {
+      const access = new KeyListAccessController([identity1.publicKey])
+      const log1 = new Log(storage, 'X', null, null, null, identity1, access, { partialJoin: true })
+      const log2 = new Log(storage, 'X', null, null, null, identity2, ['*'])
+      await log2.append('b1')
+      await log1.join(log2, -1, log1.id)
+      assert.equal(log1.quarantine.length, 1)
+
+      access.keys.push(identity2.publicKey)
+      const res = await log1.join(log2, -1, log1.id)
+      assert.deepEqual(payloads(res.added), ['b1'])
+      assert.deepEqual(log1.quarantine, [])
+    })
+
+    it('doesn\'t join the logs without partialJoin', async () => {
+      const log = await createLog()
+      const log1 = new Log(storage, 'X', null, null, null, identity1, [identity1.publicKey])
+      const res = await log1.join(log, -1, log1.id)
+      assert.deepEqual(res.added, [])
+      assert.equal(log1.length, 0)
+      assert.deepEqual(log1.quarantine, [])
+    })
+  })
+})
@@ -0,0 +1,151 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const toArray = async (iterator) => {
+  let result = []
+  for await (const entry of iterator) {
+    result.push(entry)
+  }
+  return result
+}
+
+// Storage adapter that counts the blocks read
+class CountingStorage extends MemoryStorage {
+  constructor () {
+    super()
+    this.reads = 0
+  }
+
+  get (hash) {
+    this.reads ++
+    return super.get(hash)
+  }
+}
+
+describe('Log - Traverse', function() {
+  const amount = 100
+
+  let storage, log
+
+  before(async () => {
+    storage = new CountingStorage()
+    log = new Log(storage, 'A')
+    for (let i = 0; i < amount; i ++) {
+      await log.append('entry' + i)
+    }
+  })
+
+  beforeEach(() => {
+    storage.reads = 0
+  })
+
+  it('returns an async iterator', () => {
+    const iterator = Log.traverse(storage, log.heads)
+    assert.equal(typeof iterator[Symbol.asyncIterator], 'function')
+  })
+
+  it('traverses all entries from head hashes, latest first', async () => {
+    const entries = await toArray(Log.traverse(storage, log.heads.map(e => e.hash)))
+    assert.deepEqual(entries.map(e => e.hash), log.values.reverse().map(e => e.hash))
+    assert.equal(storage.reads, amount)
+  })
+
+  it('traverses all entries from head entries', async () => {
+    const entries = await toArray(Log.traverse(storage, log.heads))
+    assert.equal(entries.length, amount)
+    assert.equal(storage.reads, amount - 1)
+  })
+
+  it('accepts a single head', async () => {
+    const entries = await toArray(Log.traverse(storage, log.heads[0].hash, { amount: 1 }))
+    assert.deepEqual(entries.map(e => e.payload), ['entry99'])
+  })
+
+  it('traverses the given amount of entries', async () => {
+    const entries = await toArray(Log.traverse(storage, log.heads, { amount: 3 }))
+    assert.deepEqual(entries.map(e => e.payload), ['entry99', 'entry98', 'entry97'])
+  })
+
+  it('fetches only the entries that are consumed', async () => {
+    let count = 0
+    for await (const entry of Log.traverse(storage, log.heads.map(e => e.hash))) {
+      count ++
+      if (count === 20) break
+    }
+    assert.equal(count, 20)
+    assert.equal(storage.reads, 20)
+  })
+
+  it('doesn\'t traverse excluded entries', async () => {
+    const exclude = [log.values[95]]
+    const entries = await toArray(Log.traverse(storage, log.heads, { exclude }))
+    assert.deepEqual(entries.map(e => e.payload), ['entry99', 'entry98', 'entry97', 'entry96'])
+  })
+
+  it('calls the progress callback for each entry', async () => {
+    let progress = []
+    const onProgressCallback = (hash, entry, count) => progress.push(count)
+    await toArray(Log.traverse(storage, log.heads, { amount: 5, onProgressCallback }))
+    assert.deepEqual(progress, [1, 2, 3, 4, 5])
+  })
+
+  it('skips entries that can\'t be fetched', async () => {
+    const entries = await toArray(Log.traverse(storage, ['QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn']))
+    assert.deepEqual(entries, [])
+  })
+
+  it('throws an error when fetching an entry times out', async () => {
+    const hash = log.heads[0].next[0]
+    const unreachable = new MemoryStorage()
+    unreachable.get = (h) => h === hash ? new Promise(() => {}) : storage.get(h)
+    const entries = []
+    let err
+    try {
+      for await (const entry of Log.traverse(unreachable, log.heads, { timeout: 10 })) {
+        entries.push(entry)
+      }
+    } catch (e) {
+      err = e
+    }
+    assert.deepEqual(entries.map(e => e.hash), [log.heads[0].hash])
+    assert.equal(err.code, 'ERR_FETCH_TIMEOUT')
+    assert.equal(err.message, `Couldn't fetch entry '${hash}', request timed out (10ms)`)
+  })
+
+  it('traverses concurrent entries in reverse log order', async () => {
+    const log1 = new Log(storage, 'X')
+    const log2 = new Log(storage, 'Y')
+    for (let i = 0; i < 10; i ++) {
+      await log1.append('A' + i)
+      await log2.append('B' + i)
+      if (i % 3 === 0) await log1.join(log2, -1, log1.id)
+    }
+    await log1.join(log2, -1, log1.id)
+
+    const entries = await toArray(Log.traverse(storage, log1.heads.map(e => e.hash)))
+    assert.deepEqual(entries.map(e => e.hash), log1.values.reverse().map(e => e.hash))
+  })
+
+  it('throws an error if storage is not defined', () => {
+    let err
+    try {
+      Log.traverse()
+    } catch (e) {
+      err = e
+    }
+    assert.equal(err.message, 'ImmutableDB instance not defined')
+  })
+
+  it('throws an error if heads are not defined', () => {
+    let err
+    try {
+      Log.traverse(storage)
+    } catch (e) {
+      err = e
+    }
+    assert.equal(err.message, '\'heads\' must be given as argument')
+  })
+})
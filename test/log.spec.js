@@ -450,7 +450,7 @@ apis.forEach((IPFS) => {
 
           try {
             const hash = await log.toMultihash()
-            const res = await Log.fromMultihash(ipfs, hash, -1, [], callback)
+            const res = await Log.fromMultihash(ipfs, hash, -1, [], null, callback)
           } catch (e) {
             done(e)
           }
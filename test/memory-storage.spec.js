@@ -0,0 +1,175 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const last = (arr) => {
+  return arr[arr.length - 1]
+}
+
+describe('MemoryStorage', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  describe('blocks', () => {
+    it('puts and gets a block', async () => {
+      const hash = await storage.put(Buffer.from('hello'))
+      const data = await storage.get(hash)
+      assert.equal(data.toString(), 'hello')
+      assert.equal(storage.size, 1)
+    })
+
+    it('calculates the same multihash as ipfs.object.put', async () => {
+      // Multihash of an empty unixfs directory
+      const hash = await storage.put(Buffer.from([0x08, 0x01]))
+      assert.equal(hash, 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn')
+    })
+
+    it('calculates the multihash of a block larger than 127 bytes', async () => {
+      const data = Buffer.alloc(300, 'a')
+      const hash = await storage.put(data)
+      assert.equal(hash, MemoryStorage.multihash(data))
+      assert.equal(hash.startsWith('Qm'), true)
+    })
+
+    it('calculates a CIDv1 for dag-cbor blocks', async () => {
+      // dag-cbor encoded { hello: 'world' }
+      const data = Buffer.from('a16568656c6c6f65776f726c64', 'hex')
+      const hash = await storage.put(data, { format: 'dag-cbor' })
+      assert.equal(hash, 'zdpuAtX7ZibcWdSKQwiDCkPjWwRvtcKCPku9H7LhgA4qJW4Wk')
+      assert.equal((await storage.get(hash)).toString('hex'), data.toString('hex'))
+    })
+
+    it('throws an error on an unsupported block format', async () => {
+      let err
+      try {
+        await storage.put(Buffer.from('hello'), { format: 'raw' })
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Unsupported block format: raw')
+    })
+
+    it('has a block', async () => {
+      const hash = await storage.put(Buffer.from('hello'))
+      assert.equal(await storage.has(hash), true)
+      assert.equal(await storage.has('QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn'), false)
+    })
+
+    it('deletes a block', async () => {
+      const hash = await storage.put(Buffer.from('hello'))
+      await storage.delete(hash)
+      assert.equal(await storage.has(hash), false)
+      assert.equal(storage.size, 0)
+    })
+
+    it('throws an error when a block is not found', async () => {
+      let err
+      try {
+        await storage.get('QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn')
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Block not found: QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn')
+    })
+
+    it('doesn\'t share buffers with the caller', async () => {
+      const data = Buffer.from('hello')
+      const hash = await storage.put(data)
+      data.write('world')
+      const res = await storage.get(hash)
+      res.write('xxxxx')
+      assert.equal((await storage.get(hash)).toString(), 'hello')
+    })
+  })
+
+  describe('Entry', () => {
+    it('creates an entry with the same hash as IPFS', async () => {
+      const entry = await Entry.create(storage, 'A', 'hello')
+      assert.equal(entry.hash, 'Qmcga9V6D7EPVQTPWjyjFUP6NoGivhymLGi4f9VMGQA24x')
+    })
+
+    it('creates an entry with payload and next with the same hash as IPFS', async () => {
+      const entry1 = await Entry.create(storage, 'A', 'hello world')
+      entry1.clock.tick()
+      const entry2 = await Entry.create(storage, 'A', 'hello again', [entry1], entry1.clock)
+      assert.equal(entry1.hash, 'QmW4jcyavsU3cEqGXvpXB2tpnCLyp5yYS1WqwfuxRBxjk3')
+      assert.equal(entry2.hash, 'QmcSKfhnDoTXstEUS8L5btps7r4QqrDDLaDJ62cu1i9W6X')
+    })
+
+    it('reads an entry', async () => {
+      const entry = await Entry.create(storage, 'A', 'hello')
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.deepEqual(res, entry)
+    })
+
+    it('creates and reads a version 1 entry', async () => {
+      const entry1 = await Entry.create(storage, 'A', 'hello world')
+      const entry2 = await Entry.create(storage, 'A', 'hello again', [entry1], null, null, { version: 1 })
+      const res = await Entry.fromMultihash(storage, entry2.hash)
+      assert.equal(entry2.hash, 'zdpuAzoV8sbkvJEqbB7xM9xupz9FHhKHzwbRASRDRZERtCcRJ')
+      assert.deepEqual(res, entry2)
+    })
+  })
+
+  describe('Log', () => {
+    it('appends entries', async () => {
+      const log = new Log(storage, 'A')
+      await log.append('one')
+      await log.append('two')
+      assert.equal(log.length, 2)
+      assert.deepEqual(log.values.map(e => e.payload), ['one', 'two'])
+      assert.equal(storage.size, 2)
+    })
+
+    it('joins logs', async () => {
+      const log1 = new Log(storage, 'A')
+      const log2 = new Log(storage, 'B')
+      await log1.append('helloA1')
+      await log2.append('helloB1')
+      await log1.append('helloA2')
+      await log2.append('helloB2')
+      await log1.join(log2)
+      assert.deepEqual(log1.values.map(e => e.payload), ['helloA1', 'helloB1', 'helloA2', 'helloB2'])
+      assert.equal(log1.heads.length, 2)
+    })
+
+    it('loads a log from a multihash', async () => {
+      const log = new Log(storage, 'A')
+      for (let i = 0; i < 10; i ++) {
+        await log.append('entry' + i)
+      }
+      const hash = await log.toMultihash()
+      const res = await Log.fromMultihash(storage, hash)
+      assert.equal(res.id, 'A')
+      assert.equal(res.length, 10)
+      assert.deepEqual(res.values.map(e => e.hash), log.values.map(e => e.hash))
+      assert.deepEqual(res.heads.map(e => e.hash), log.heads.map(e => e.hash))
+    })
+
+    it('loads a partial log from a multihash', async () => {
+      const log = new Log(storage, 'A')
+      for (let i = 0; i < 10; i ++) {
+        await log.append('entry' + i)
+      }
+      const hash = await log.toMultihash()
+      const res = await Log.fromMultihash(storage, hash, 3)
+      assert.deepEqual(res.values.map(e => e.payload), ['entry7', 'entry8', 'entry9'])
+    })
+
+    it('loads a log from an entry hash', async () => {
+      const log = new Log(storage, 'A')
+      for (let i = 0; i < 10; i ++) {
+        await log.append('entry' + i)
+      }
+      const res = await Log.fromEntryHash(storage, last(log.values).hash, log.id)
+      assert.equal(res.length, 10)
+      assert.deepEqual(res.values.map(e => e.hash), log.values.map(e => e.hash))
+    })
+  })
+})
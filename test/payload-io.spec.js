@@ -0,0 +1,140 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const PayloadIO = require('../src/payload-io')
+const { SymmetricEncryption } = require('../src/encryption')
+const { MemoryIdentity } = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const largePayload = (size) => 'x'.repeat(size)
+
+describe('Out-of-line payloads', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  describe('PayloadIO', () => {
+    it('stores a payload in chunks', async () => {
+      const payload = { data: largePayload(100) }
+      const ref = await PayloadIO.toBlocks(storage, payload, { chunkSize: 32 })
+      assert.equal(ref.size, PayloadIO.size(payload))
+      assert.equal(ref.blocks.length, Math.ceil(ref.size / 32))
+      assert.deepEqual(await PayloadIO.fromBlocks(storage, ref), payload)
+    })
+
+    it('stores a small payload in one block', async () => {
+      const ref = await PayloadIO.toBlocks(storage, 'hello')
+      assert.equal(ref.blocks.length, 1)
+      assert.equal(await PayloadIO.fromBlocks(storage, ref), 'hello')
+    })
+
+    it('fails when the size doesn\'t match', async () => {
+      const ref = await PayloadIO.toBlocks(storage, 'hello')
+      let err
+      try {
+        await PayloadIO.fromBlocks(storage, { blocks: ref.blocks, size: 1 })
+      } catch (e) {
+        err = e
+      }
+      assert.equal(err.message, 'Payload size 7 doesn\'t match the reference size 1')
+    })
+  })
+
+  describe('Entry', () => {
+    it('stores large payloads out of line', async () => {
+      const payload = largePayload(1000)
+      const entry = await Entry.create(storage, 'A', payload, [], null, null, { maxInlineSize: 100, chunkSize: 256 })
+      assert.equal(entry.payload, payload)
+      const block = await storage.get(entry.hash)
+      assert.equal(block.length < 500, true)
+
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(Entry.hasPayloadBlocks(res), true)
+      assert.equal(res.payload.blocks.length, 4)
+
+      const loaded = await Entry.loadPayload(storage, res)
+      assert.equal(loaded.payload, payload)
+      assert.equal(loaded.hash, entry.hash)
+      assert.equal(Entry.hasPayloadBlocks(loaded), false)
+      assert.deepEqual(Entry.getPayloadBlocks(loaded), res.payload.blocks)
+    })
+
+    it('keeps payloads that look like a reference to blocks', async () => {
+      const payload = { blocks: [], size: 2 }
+      const entry = await Entry.create(storage, 'A', payload, [], null, null, { maxInlineSize: 100 })
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(Entry.hasPayloadBlocks(res), false)
+      assert.deepEqual(Entry.getPayloadBlocks(res), [])
+      assert.deepEqual((await Entry.loadPayload(storage, res)).payload, payload)
+    })
+
+    it('keeps small payloads inline', async () => {
+      const entry = await Entry.create(storage, 'A', 'hello', [], null, null, { maxInlineSize: 100 })
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      assert.equal(res.payload, 'hello')
+      assert.equal(await Entry.loadPayload(storage, res), res)
+    })
+
+    it('verifies the signature of an entry with its payload out of line', async () => {
+      const identity = MemoryIdentity.create()
+      const entry = await Entry.create(storage, 'A', largePayload(200), [], null, identity, { maxInlineSize: 100 })
+      await Entry.verifyEntry(entry, identity)
+      const res = await Entry.fromMultihash(storage, entry.hash)
+      await Entry.verifyEntry(res, identity)
+      await Entry.verifyEntry(await Entry.loadPayload(storage, res), identity)
+    })
+
+    it('stores encrypted payloads out of line', async () => {
+      const key = SymmetricEncryption.generateKey()
+      const payload = largePayload(200)
+      const entry = await Entry.create(storage, 'A', payload, [], null, null, { encryption: key, maxInlineSize: 100 })
+      const res = await Entry.fromMultihash(storage, entry.hash, { encryption: key })
+      assert.equal(Entry.hasPayloadBlocks(res), true)
+      const opaque = await Entry.loadPayload(storage, res)
+      assert.equal(Entry.isEncrypted(opaque), true)
+      const loaded = await Entry.loadPayload(storage, res, { encryption: key })
+      assert.equal(loaded.payload, payload)
+    })
+  })
+
+  describe('Log', () => {
+    it('loads the log without the payloads stored out of line', async () => {
+      const log = new Log(storage, 'X', null, null, null, null, null, { maxInlineSize: 100 })
+      await log.append('one')
+      await log.append(largePayload(1000))
+      await log.append('three')
+      assert.deepEqual(log.values.map(e => e.payload.length), [3, 1000, 5])
+
+      const hash = await log.toMultihash()
+      let fetched = []
+      const get = storage.get.bind(storage)
+      storage.get = (hash) => {
+        fetched.push(hash)
+        return get(hash)
+      }
+
+      const res = await Log.fromMultihash(storage, hash, -1)
+      assert.deepEqual(fetched, [hash].concat(log.values.map(e => e.hash).reverse()))
+      assert.equal(Entry.hasPayloadBlocks(res.values[1]), true)
+
+      const entry = await res.loadPayload(res.values[1])
+      assert.equal(entry.payload, largePayload(1000))
+      assert.deepEqual(fetched.slice(4), res.values[1].payload.blocks)
+    })
+
+    it('joins entries with payloads stored out of line', async () => {
+      const log1 = new Log(storage, 'X', null, null, null, null, null, { maxInlineSize: 100 })
+      await log1.append(largePayload(200))
+      const log2 = await Log.fromEntry(storage, log1.heads, -1)
+      const log3 = new Log(storage, 'X')
+      await log3.join(log2)
+      assert.deepEqual(log3.values.map(e => e.hash), log1.values.map(e => e.hash))
+      const entry = await log3.loadPayload(log3.values[0])
+      assert.equal(entry.payload, largePayload(200))
+    })
+  })
+})
@@ -0,0 +1,135 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Reconcile = require('../src/reconcile')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+// Remote interface that counts the hashes sent in the queries
+const countingRemote = (log) => {
+  const remote = Reconcile.toRemote(log)
+  const counter = { heads: 0, has: 0, next: 0, hashes: 0 }
+  return {
+    counter: counter,
+    heads: () => {
+      counter.heads ++
+      return remote.heads()
+    },
+    has: (hashes) => {
+      counter.has ++
+      counter.hashes += hashes.length
+      return remote.has(hashes)
+    },
+    next: (hashes) => {
+      counter.next ++
+      counter.hashes += hashes.length
+      return remote.next(hashes)
+    },
+  }
+}
+
+const hashes = (entries) => entries.map(e => e.hash)
+
+describe('Reconcile', function() {
+  let storage, log1, log2
+
+  beforeEach(async () => {
+    storage = new MemoryStorage()
+    log1 = new Log(storage, 'A')
+    log2 = new Log(storage, 'B')
+    for (let i = 0; i < 50; i ++) {
+      await log1.append('a' + i)
+    }
+    await log2.join(log1, -1, log2.id)
+  })
+
+  it('finds nothing to exchange when the logs are equal', async () => {
+    const remote = countingRemote(log2)
+    const res = await log1.reconcile(remote)
+    assert.deepEqual(res.have, [])
+    assert.deepEqual(res.want, [])
+    assert.equal(res.rounds, 1)
+    assert.equal(remote.counter.hashes, 0)
+  })
+
+  it('finds the entries the local log is missing', async () => {
+    const b0 = await log2.append('b0')
+    const b1 = await log2.append('b1')
+    const res = await log1.reconcile(Reconcile.toRemote(log2))
+    assert.deepEqual(res.want, [b1.hash, b0.hash])
+    assert.deepEqual(res.have, [])
+  })
+
+  it('finds the entries the remote is missing', async () => {
+    const a0 = await log1.append('x0')
+    const a1 = await log1.append('x1')
+    const res = await log1.reconcile(Reconcile.toRemote(log2))
+    assert.deepEqual(res.have, [a1.hash, a0.hash])
+    assert.deepEqual(res.want, [])
+  })
+
+  it('finds the missing entries of diverged logs', async () => {
+    let local = [], remote = []
+    for (let i = 0; i < 5; i ++) {
+      local.push(await log1.append('x' + i))
+      remote.push(await log2.append('y' + i))
+    }
+    const res = await log1.reconcile(Reconcile.toRemote(log2))
+    assert.deepEqual(res.have.sort(), hashes(local).sort())
+    assert.deepEqual(res.want.sort(), hashes(remote).sort())
+
+    const reverse = await log2.reconcile(Reconcile.toRemote(log1))
+    assert.deepEqual(reverse.have.sort(), res.want.sort())
+    assert.deepEqual(reverse.want.sort(), res.have.sort())
+  })
+
+  it('doesn\'t query the history both logs have', async () => {
+    for (let i = 0; i < 5; i ++) {
+      await log1.append('x' + i)
+      await log2.append('y' + i)
+    }
+    const remote = countingRemote(log2)
+    const res = await log1.reconcile(remote)
+    // Only the hashes of the new entries are sent
+    assert.equal(remote.counter.hashes, 10)
+    assert.equal(res.rounds, 11)
+  })
+
+  it('uses the given remote heads', async () => {
+    const b0 = await log2.append('b0')
+    const remote = countingRemote(log2)
+    const res = await log1.reconcile(remote, { heads: [b0.hash] })
+    assert.deepEqual(res.want, [b0.hash])
+    assert.equal(remote.counter.heads, 0)
+  })
+
+  it('finds the missing entries of concurrent branches', async () => {
+    const log3 = new Log(storage, 'C')
+    await log3.join(log1, -1, log3.id)
+    for (let i = 0; i < 3; i ++) {
+      await log2.append('b' + i)
+      await log3.append('c' + i)
+    }
+    await log2.join(log3, -1, log2.id)
+    await log2.append('b3')
+    await log1.append('a50')
+
+    const res = await log1.reconcile(Reconcile.toRemote(log2))
+    assert.equal(res.want.length, 7)
+    assert.equal(res.have.length, 1)
+
+    // Fetching the wanted entries gives the same log
+    const fetched = await Log.fromEntryHash(storage, res.want, log1.id)
+    await log1.join(fetched, -1, log1.id)
+    await log2.join(log1, -1, log2.id)
+    assert.deepEqual(hashes(log1.values), hashes(log2.values))
+  })
+
+  it('answers queries for a log', async () => {
+    const remote = Reconcile.toRemote(log1)
+    assert.deepEqual(await remote.heads(), hashes(log1.heads))
+    assert.deepEqual(await remote.has([log1.values[0].hash, 'abc']), [log1.values[0].hash])
+    const next = await remote.next([log1.values[1].hash, 'abc'])
+    assert.deepEqual(next, { [log1.values[1].hash]: [log1.values[0].hash] })
+  })
+})
@@ -0,0 +1,236 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const Replicator = require('../src/replicator')
+const LogIO = require('../src/log-io')
+const { LoopbackTransport } = require('../src/transports')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+// Resolves when the log has the given number of entries
+const waitForLength = (log, length, timeout = 5000) => {
+  return new Promise((resolve, reject) => {
+    const started = new Date().getTime()
+    const timer = setInterval(() => {
+      if (log.length === length) {
+        clearInterval(timer)
+        resolve()
+      } else if (new Date().getTime() - started > timeout) {
+        clearInterval(timer)
+        reject(new Error(`Timed out waiting for ${length} entries, got ${log.length}`))
+      }
+    }, 10)
+  })
+}
+
+const payloads = (log) => log.values.map(e => e.payload)
+
+describe('Replicator', function() {
+  let storage1, storage2, log1, log2, transport1, transport2, replicator1, replicator2
+
+  beforeEach(() => {
+    storage1 = new MemoryStorage()
+    storage2 = new MemoryStorage()
+    log1 = new Log(storage1, 'A')
+    log2 = new Log(storage2, 'B')
+    ;[transport1, transport2] = LoopbackTransport.pair()
+    replicator1 = new Replicator(log1, transport1, { id: 'peer1' })
+    replicator2 = new Replicator(log2, transport2, { id: 'peer2' })
+  })
+
+  afterEach(() => {
+    replicator1.stop()
+    replicator2.stop()
+  })
+
+  it('replicates appended entries', async () => {
+    await replicator1.start()
+    await replicator2.start()
+    for (let i = 0; i < 10; i ++) {
+      await log1.append('a' + i)
+    }
+    await waitForLength(log2, 10)
+    assert.deepEqual(payloads(log2), payloads(log1))
+    assert.deepEqual(log2.heads.map(e => e.hash), log1.heads.map(e => e.hash))
+  })
+
+  it('replicates existing entries on start', async () => {
+    for (let i = 0; i < 5; i ++) {
+      await log1.append('a' + i)
+      await log2.append('b' + i)
+    }
+    await replicator1.start()
+    await replicator2.start()
+    await waitForLength(log1, 10)
+    await waitForLength(log2, 10)
+    assert.deepEqual(payloads(log1), payloads(log2))
+  })
+
+  it('replicates concurrent writes in both directions', async () => {
+    await replicator1.start()
+    await replicator2.start()
+    for (let i = 0; i < 20; i ++) {
+      await Promise.all([log1.append('a' + i), log2.append('b' + i)])
+    }
+    await waitForLength(log1, 40)
+    await waitForLength(log2, 40)
+    assert.deepEqual(payloads(log1), payloads(log2))
+  })
+
+  it('stores the replicated entries', async () => {
+    await replicator1.start()
+    await replicator2.start()
+    await log1.append('hello')
+    await waitForLength(log2, 1)
+    const hash = await log2.toMultihash()
+    const data = await LogIO.fromMultihash(storage2, hash)
+    assert.deepEqual(data.values.map(e => e.payload), ['hello'])
+  })
+
+  it('sends the payloads stored out of line', async () => {
+    const log = new Log(storage1, 'A', null, null, null, null, null, { maxInlineSize: 10, chunkSize: 16 })
+    replicator1 = new Replicator(log, transport1, { id: 'peer1' })
+    await replicator1.start()
+    await replicator2.start()
+    const payload = 'hello '.repeat(10)
+    await log.append(payload)
+    await waitForLength(log2, 1)
+    assert.equal(Entry.hasPayloadBlocks(log2.values[0]), true)
+    const entry = await log2.loadPayload(log2.values[0])
+    assert.equal(entry.payload, payload)
+    assert.equal(storage2.size, 1 + Entry.getPayloadBlocks(entry).length)
+  })
+
+  it('splits the entries into messages of maxMessageSize', async () => {
+    const log = new Log(storage1, 'A', null, null, null, null, null, { maxInlineSize: 10, chunkSize: 16 })
+    replicator1 = new Replicator(log, transport1, { id: 'peer1', maxMessageSize: 1000 })
+    const expected = []
+    for (let i = 0; i < 10; i ++) {
+      expected.push('hello ' + i + ' '.repeat(40))
+      await log.append(expected[i])
+    }
+
+    const messages = []
+    transport2.on('message', (message) => {
+      if (message.type === 'blocks') messages.push(message.blocks)
+    })
+    await replicator1.start()
+    await replicator2.start()
+    await waitForLength(log2, 10)
+
+    assert.equal(messages.length > 1, true)
+    messages.forEach((blocks) => {
+      assert.equal(blocks.reduce((res, block) => res + block.data.length, 0) <= 1000, true)
+    })
+    const loaded = await Promise.all(log2.values.map(e => log2.loadPayload(e)))
+    assert.deepEqual(loaded.map(e => e.payload), expected)
+  })
+
+  it('reports progress', async () => {
+    let requested = []
+    let progress = []
+    let replicated = 0
+    replicator2.on('replicate', (peer, hashes) => requested = requested.concat(hashes))
+    replicator2.on('replicate.progress', (peer, entry, received, total) => progress.push([peer, entry.payload, received]))
+    replicator2.on('replicated', (peer, length) => replicated += length)
+
+    await log1.append('a0')
+    await log1.append('a1')
+    await replicator2.start()
+    await replicator1.start()
+    await waitForLength(log2, 2)
+
+    assert.equal(requested.length, 2)
+    assert.deepEqual(progress.map(e => e[0]), ['peer1', 'peer1'])
+    assert.deepEqual(progress.map(e => e[1]).sort(), ['a0', 'a1'])
+    assert.deepEqual(progress.map(e => e[2]), [1, 2])
+    assert.equal(replicated, 2)
+  })
+
+  it('ignores blocks that were not requested', async () => {
+    await replicator2.start()
+    const entry = await log1.append('a0')
+    const data = await storage1.get(entry.hash)
+    const block = { hash: entry.hash, format: 'dag-pb', data: data.toString('base64') }
+    await transport1.send({ type: 'blocks', from: 'peer1', blocks: [block] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.equal(log2.length, 0)
+    assert.equal(storage2.size, 0)
+  })
+
+  it('ignores blocks that don\'t match their hash', async () => {
+    await replicator2.start()
+    const entry = await log1.append('a0')
+    replicator2._wanted[entry.hash] = true
+    const block = { hash: entry.hash, format: 'dag-pb', data: Buffer.from('hello').toString('base64') }
+    await transport1.send({ type: 'blocks', from: 'peer1', blocks: [block] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.equal(log2.length, 0)
+    assert.equal(storage2.size, 0)
+  })
+
+  it('emits the errors of handling a message', async () => {
+    await replicator2.start()
+    const data = Buffer.from('hello')
+    const hash = MemoryStorage.multihash(data)
+    const block = { hash: hash, format: 'dag-pb', data: data.toString('base64') }
+    let errors = []
+    replicator2.on('error', e => errors.push(e))
+    replicator2._wanted[hash] = true
+    await transport1.send({ type: 'blocks', from: 'peer1', blocks: [block] })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.equal(errors.length, 1)
+    assert.equal(log2.length, 0)
+  })
+
+  it('replicates between more than two peers', async () => {
+    const storage3 = new MemoryStorage()
+    const log3 = new Log(storage3, 'C')
+    const transport3 = new LoopbackTransport()
+    transport3.connect(transport1)
+    transport3.connect(transport2)
+    const replicator3 = new Replicator(log3, transport3, { id: 'peer3' })
+
+    await replicator1.start()
+    await replicator2.start()
+    await replicator3.start()
+    await log1.append('a')
+    await log2.append('b')
+    await log3.append('c')
+    await waitForLength(log1, 3)
+    await waitForLength(log2, 3)
+    await waitForLength(log3, 3)
+    assert.deepEqual(payloads(log1), payloads(log3))
+    replicator3.stop()
+  })
+
+  it('stops replicating', async () => {
+    await replicator1.start()
+    await replicator2.start()
+    replicator2.stop()
+    await log1.append('a0')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    assert.equal(log2.length, 0)
+  })
+
+  it('throws an error if log is not defined', () => {
+    let err
+    try {
+      new Replicator()
+    } catch (e) {
+      err = e
+    }
+    assert.equal(err.message, 'Log instance not defined')
+  })
+
+  it('throws an error if transport is not valid', () => {
+    let err
+    try {
+      new Replicator(log1, {})
+    } catch (e) {
+      err = e
+    }
+    assert.equal(err.message, '\'transport\' must implement send, on and removeListener')
+  })
+})
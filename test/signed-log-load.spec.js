@@ -0,0 +1,131 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const { MemoryIdentity } = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const payloads = (log) => log.values.map(e => e.payload)
+
+describe('Signed Log - Loading', function() {
+  let storage, identity1, identity2, writers
+
+  before(() => {
+    identity1 = MemoryIdentity.create('A')
+    identity2 = MemoryIdentity.create('B')
+  })
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+    writers = [identity1.publicKey, identity2.publicKey]
+  })
+
+  // Log with entries of both writers: a1 <- b1 <- a2
+  const createLog = async () => {
+    const log1 = new Log(storage, 'X', null, null, null, identity1, writers)
+    const log2 = new Log(storage, 'X', null, null, null, identity2, writers)
+    await log1.append('a1')
+    await log2.join(log1, -1, log2.id)
+    await log2.append('b1')
+    await log1.join(log2, -1, log1.id)
+    await log1.append('a2')
+    return log1
+  }
+
+  const loadError = async (load) => {
+    let err
+    try {
+      await load()
+    } catch (e) {
+      err = e
+    }
+    return err
+  }
+
+  it('loads a log with valid entries', async () => {
+    const log = await createLog()
+    const hash = await log.toMultihash()
+    const res = await Log.fromMultihash(storage, hash, -1, [], identity1, null, null, writers)
+    assert.deepEqual(payloads(res), ['a1', 'b1', 'a2'])
+  })
+
+  it('fails to load entries that are not allowed', async () => {
+    const log = await createLog()
+    const hash = await log.toMultihash()
+    const b1 = log.values[1]
+    const err = await loadError(() => Log.fromMultihash(storage, hash, -1, [], identity1, null, null, [identity1.publicKey]))
+    assert.equal(err.message, `Log contains entries that didn't verify: ${b1.hash}`)
+  })
+
+  it('drops entries that are not allowed', async () => {
+    const log = await createLog()
+    const hash = await log.toMultihash()
+    const options = { invalidEntries: 'drop' }
+    const res = await Log.fromMultihash(storage, hash, -1, [], identity1, null, options, [identity1.publicKey])
+    assert.deepEqual(payloads(res), ['a1', 'a2'])
+    // a1 was only referenced by the dropped entry
+    assert.deepEqual(res.heads.map(e => e.payload).sort(), ['a1', 'a2'])
+  })
+
+  it('fails to load entries with a signature that doesn\'t verify', async () => {
+    const entry = await Entry.create(storage, 'X', 'a1', [], null, identity1)
+    entry.sig = await identity1.sign(Buffer.from('a2'))
+    const hash = await Entry.toMultihash(storage, entry)
+    const err = await loadError(() => Log.fromEntryHash(storage, hash, 'X', -1, [], identity1, writers))
+    assert.equal(err.message, `Log contains entries that didn't verify: ${hash}`)
+  })
+
+  it('fails to load entries with a payload that was changed', async () => {
+    const entry = await Entry.create(storage, 'X', 'a1', [], null, identity1)
+    entry.payload = 'a2'
+    const hash = await Entry.toMultihash(storage, entry)
+    const err = await loadError(() => Log.fromEntryHash(storage, hash, 'X', -1, [], identity1, writers))
+    assert.equal(err.message, `Log contains entries that didn't verify: ${hash}`)
+  })
+
+  it('fails to load signed entries of version 0', async () => {
+    const log = new Log(storage, 'X', null, null, null, identity1, writers, { version: 0 })
+    await log.append('a1')
+    const err = await loadError(() => Log.fromEntry(storage, log.heads, -1, [], null, null, identity1, writers))
+    assert.equal(err.message, `Log contains entries that didn't verify: ${log.heads[0].hash}`)
+    assert.equal(err.rejected[0].reason, 'legacy-signature')
+  })
+
+  it('loads signed entries of version 0 with legacy signatures', async () => {
+    const options = { version: 0, legacySignatures: true }
+    const log = new Log(storage, 'X', null, null, null, identity1, writers, options)
+    await log.append('a1')
+    const res = await Log.fromEntry(storage, log.heads, -1, [], null, options, identity1, writers)
+    assert.deepEqual(payloads(res), ['a1'])
+  })
+
+  it('fails to load entries that are not signed', async () => {
+    const log = new Log(storage, 'X')
+    await log.append('a1')
+    const err = await loadError(() => Log.fromEntry(storage, log.heads, -1, [], null, null, identity1, writers))
+    assert.equal(err.message, `Log contains entries that didn't verify: ${log.heads[0].hash}`)
+  })
+
+  it('verifies the entries loaded from JSON', async () => {
+    const log = await createLog()
+    const err = await loadError(() => Log.fromJSON(storage, { id: 'X', heads: log.heads }, -1, identity2, [identity2.publicKey]))
+    assert.equal(err.message, `Log contains entries that didn't verify: ${log.values[0].hash}, ${log.values[2].hash}`)
+  })
+
+  it('verifies the entries added by expanding the log', async () => {
+    const log = await createLog()
+    const options = { invalidEntries: 'drop' }
+    const res = await Log.fromEntry(storage, log.heads, 1, [], null, options, identity1, [identity1.publicKey])
+    assert.deepEqual(payloads(res), ['a2'])
+    const expanded = await Log.expand(storage, res, 2)
+    assert.deepEqual(payloads(expanded), ['a1', 'a2'])
+  })
+
+  it('doesn\'t verify the entries of an unsigned log', async () => {
+    const log = await createLog()
+    const hash = await log.toMultihash()
+    const res = await Log.fromMultihash(storage, hash, -1, [], null, null, null, [identity1.publicKey])
+    assert.deepEqual(payloads(res), ['a1', 'b1', 'a2'])
+  })
+})
@@ -48,22 +48,22 @@ apis.forEach((IPFS) => {
     it('creates a signed log', () => {
       const log = new Log(ipfs, 'A', null, null, null, key1)
       assert.notEqual(log.id, null)
-      assert.deepEqual(log._key, key1)
-      assert.deepEqual(log._keys, [])
+      assert.equal(log._identity.publicKey, key1.getPublic('hex'))
+      assert.deepEqual(log._access.keys, [])
     })
 
     it('takes an array of write-access public keys as an argument', () => {
       const log = new Log(ipfs, 'A', null, null, null, key1, [key2.getPublic('hex'), key3.getPublic('hex')])
       assert.notEqual(log.id, null)
-      assert.deepEqual(log._key, key1)
-      assert.deepEqual(log._keys, [key2.getPublic('hex'), key3.getPublic('hex')])
+      assert.equal(log._identity.publicKey, key1.getPublic('hex'))
+      assert.deepEqual(log._access.keys, [key2.getPublic('hex'), key3.getPublic('hex')])
     })
 
     it('takes a single write-access public key as an argument', () => {
       const log = new Log(ipfs, 'A', null, null, null, key1, key2.getPublic('hex'))
       assert.notEqual(log.id, null)
-      assert.deepEqual(log._key, key1)
-      assert.deepEqual(log._keys, [key2.getPublic('hex')])
+      assert.equal(log._identity.publicKey, key1.getPublic('hex'))
+      assert.deepEqual(log._access.keys, [key2.getPublic('hex')])
     })
 
     it('entries contain a signature and a public signing key', async () => {
@@ -92,7 +92,7 @@ apis.forEach((IPFS) => {
       } catch (e) {
         err = e.toString()
       }
-      assert.equal(err, 'Error: Not allowed to write')
+      assert.equal(err, 'AccessDeniedError: Not allowed to write')
     })
 
     it('allows only the specified keys to write when write-access keys are defined', async () => {
@@ -111,8 +111,9 @@ apis.forEach((IPFS) => {
       assert.equal(err, null)
       assert.equal(log1.id, 'A')
       assert.equal(log1.values.length, 2)
-      assert.equal(log1.values[0].payload, 'one')
-      assert.equal(log1.values[1].payload, 'two')
+      // Concurrent entries are ordered by writer
+      const expected = key1.getPublic('hex') < key2.getPublic('hex') ? ['one', 'two'] : ['two', 'one']
+      assert.deepEqual(log1.values.map(e => e.payload), expected)
     })
 
     it('allows others than the owner to write', async () => {
@@ -164,7 +165,7 @@ apis.forEach((IPFS) => {
       } catch (e) {
         err = e.toString()
       }
-      assert.equal(err, 'Error: Not allowed to write')
+      assert.equal(err, 'AccessDeniedError: Not allowed to write')
     })
 
     it('allows nobody to write when write-access keys are not defined', async () => {
@@ -176,42 +177,34 @@ apis.forEach((IPFS) => {
       } catch (e) {
         err = e.toString()
       }
-      assert.equal(err.toString(), 'Error: Not allowed to write')
+      assert.equal(err.toString(), 'AccessDeniedError: Not allowed to write')
     })
 
-    it('throws an error if log is signed but trying to merge with an entry that doesn\'t have public signing key', async () => {
+    it('rejects an entry that doesn\'t have a public signing key if log is signed', async () => {
       const log1 = new Log(ipfs, 'A', null, null, null, key1, [key1.getPublic('hex'), key2.getPublic('hex')])
       const log2 = new Log(ipfs, 'B', null, null, null, key2, [key1.getPublic('hex'), key2.getPublic('hex')])
 
-      let err
-      try {
-        await log1.append('one')
-        await log2.append('two')
-        delete log2.values[0].key
-        await log1.join(log2, log1.id)
-      } catch (e) {
-        err = e.toString()
-      }
-      assert.equal(err, 'Error: Entry doesn\'t have a public key')
+      await log1.append('one')
+      await log2.append('two')
+      delete log2.values[0].key
+      const res = await log1.join(log2, log1.id)
+      assert.deepEqual(res.rejected.map(e => e.reason), [Log.RejectReasons.MissingKey])
+      assert.equal(log1.values.length, 1)
     })
 
-    it('throws an error if log is signed but trying to merge an entry that doesn\'t have a signature', async () => {
+    it('rejects an entry that doesn\'t have a signature if log is signed', async () => {
       const log1 = new Log(ipfs, 'A', null, null, null, key1, [key1.getPublic('hex'), key2.getPublic('hex')])
       const log2 = new Log(ipfs, 'B', null, null, null, key2, [key1.getPublic('hex'), key2.getPublic('hex')])
 
-      let err
-      try {
-        await log1.append('one')
-        await log2.append('two')
-        delete log2.values[0].sig
-        await log1.join(log2, log1.id)
-      } catch (e) {
-        err = e.toString()
-      }
-      assert.equal(err, 'Error: Entry doesn\'t have a signature')
+      await log1.append('one')
+      await log2.append('two')
+      delete log2.values[0].sig
+      const res = await log1.join(log2, log1.id)
+      assert.deepEqual(res.rejected.map(e => e.reason), [Log.RejectReasons.MissingSignature])
+      assert.equal(log1.values.length, 1)
     })
 
-    it('throws an error if log is signed but the signature doesn\'t verify', async () => {
+    it('rejects an entry if log is signed but the signature doesn\'t verify', async () => {
 
       const replaceAt = (str, index, replacement) => {
         return str.substr(0, index) + replacement+ str.substr(index + replacement.length)
@@ -223,8 +216,9 @@ apis.forEach((IPFS) => {
       await log1.append('one')
       await log2.append('two')
       log2.values[0].sig = replaceAt(log2.values[0].sig, 0, 'X')
-      await log1.join(log2, log1.id)
+      const res = await log1.join(log2, log1.id)
 
+      assert.deepEqual(res.rejected.map(e => e.reason), [Log.RejectReasons.InvalidSignature])
       assert.equal(log1.values.length, 1)
       assert.equal(log1.values[0].payload, 'one')
     })
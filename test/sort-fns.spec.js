@@ -0,0 +1,143 @@
+'use strict'
+
+const assert = require('assert')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const { LamportClock } = require('../src/clocks')
+const { SortByHash, SortByClocks, SortByClockTimeAndWriter, withHashTiebreak } = require('../src/sort-fns')
+const { MemoryIdentity } = require('../src/identities')
+const MemoryStorage = require('../src/storage/memory-storage')
+
+const hashes = (entries) => entries.map(e => e.hash)
+
+const toArray = async (iterator) => {
+  let result = []
+  for await (const entry of iterator) {
+    result.push(entry)
+  }
+  return result
+}
+
+describe('Sort functions', function() {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  // Entries of two writers with the same clock times, the same clocks if they aren't signed
+  const createEntries = async (identity1, identity2) => {
+    const a1 = await Entry.create(storage, 'X', 'a1', [], null, identity1)
+    const b1 = await Entry.create(storage, 'X', 'b1', [], null, identity2)
+    const a2 = await Entry.create(storage, 'X', 'a2', [a1], new LamportClock('X', 2), identity1)
+    return [a1, b1, a2]
+  }
+
+  it('breaks ties by hash', async () => {
+    const [a1, b1, a2] = await createEntries()
+    const expected = SortByHash(a1, b1) < 0 ? [a1, b1, a2] : [b1, a1, a2]
+    assert.deepEqual(hashes([a2, b1, a1].sort(SortByClocks)), hashes(expected))
+    assert.deepEqual(hashes([a2, a1, b1].sort(SortByClocks)), hashes(expected))
+    assert.equal(SortByClocks(a1, a1), 0)
+    assert.equal(Entry.compare(a1, b1), SortByClocks(a1, b1))
+    assert.equal(Entry.compare(b1, a1), -Entry.compare(a1, b1))
+  })
+
+  it('sorts by clock time and writer', async () => {
+    const [a1, b1, a2] = await createEntries(MemoryIdentity.create('A'), MemoryIdentity.create('B'))
+    const expected = a1.key < b1.key ? [a1, b1, a2] : [b1, a1, a2]
+    assert.deepEqual(hashes([a2, b1, a1].sort(SortByClockTimeAndWriter)), hashes(expected))
+    assert.deepEqual(hashes([b1, a2, a1].sort(SortByClockTimeAndWriter)), hashes(expected))
+  })
+
+  it('adds a hash tiebreak to a sort function', async () => {
+    const [a1, b1] = await createEntries()
+    const sortFn = withHashTiebreak(() => 0)
+    assert.equal(sortFn(a1, b1), SortByHash(a1, b1))
+    assert.equal(sortFn(a1, a1), 0)
+  })
+
+  describe('Log', () => {
+    // Latest first
+    const reverseClocks = (a, b) => b.clock.time - a.clock.time
+
+    it('orders the entries the same way on every replica', async () => {
+      const log1 = new Log(storage, 'X')
+      const log2 = new Log(storage, 'X')
+      await log1.append('one')
+      await log2.append('two')
+      await log1.join(log2)
+      await log2.join(log1)
+      assert.deepEqual(hashes(log1.values), hashes(log2.values))
+      const log3 = new Log(storage, 'X', log1.values.slice().reverse())
+      assert.deepEqual(hashes(log3.values), hashes(log1.values))
+    })
+
+    it('orders the entries with the sort function', async () => {
+      const log = new Log(storage, 'X', null, null, null, null, null, { sortFn: reverseClocks })
+      await log.append('one')
+      await log.append('two')
+      await log.append('three')
+      assert.deepEqual(log.values.map(e => e.payload), ['three', 'two', 'one'])
+    })
+
+    it('orders the joined entries with the sort function', async () => {
+      const options = { sortFn: SortByClockTimeAndWriter }
+      const identity1 = MemoryIdentity.create('A')
+      const identity2 = MemoryIdentity.create('B')
+      const log1 = new Log(storage, 'X', null, null, null, identity1, ['*'], options)
+      const log2 = new Log(storage, 'X', null, null, null, identity2, ['*'], options)
+      const a1 = await log1.append('a1')
+      const b1 = await log2.append('b1')
+      await log1.join(log2)
+      await log2.join(log1)
+      const expected = a1.key < b1.key ? [a1, b1] : [b1, a1]
+      assert.deepEqual(hashes(log1.values), hashes(expected))
+      assert.deepEqual(hashes(log2.values), hashes(expected))
+    })
+
+    it('loads the log with the sort function', async () => {
+      const options = { sortFn: reverseClocks }
+      const log = new Log(storage, 'X')
+      await log.append('one')
+      await log.append('two')
+      await log.append('three')
+      const res1 = await Log.fromMultihash(storage, await log.toMultihash(), -1, [], null, null, options)
+      assert.deepEqual(res1.values.map(e => e.payload), ['three', 'two', 'one'])
+      const res2 = await Log.fromEntry(storage, log.heads, -1, [], null, options)
+      assert.deepEqual(res2.values.map(e => e.payload), ['three', 'two', 'one'])
+    })
+
+    it('traverses and iterates the entries in the order of the sort function', async () => {
+      // Concurrent entries in the reverse order of the default
+      const options = { sortFn: (a, b) => (a.clock.time - b.clock.time) || SortByHash(b, a) }
+      const log1 = new Log(storage, 'X', null, null, null, null, null, options)
+      const log2 = new Log(storage, 'X', null, null, null, null, null, options)
+      for (let i = 0; i < 3; i ++) {
+        await log1.append('a' + i)
+        await log2.append('b' + i)
+        await log1.join(log2)
+        await log2.join(log1)
+      }
+      assert.notDeepEqual(hashes(log1.values), hashes(log1.values.slice().sort(Entry.compare)))
+
+      const traversed = await toArray(Log.traverse(storage, log1.heads, options))
+      assert.deepEqual(hashes(traversed), hashes(log1.values).reverse())
+      assert.deepEqual(hashes(await toArray(log1.iterator())), hashes(log1.values))
+      assert.deepEqual(hashes(await toArray(log1.iterator({ gte: log1.values[1].hash, limit: 3 }))), hashes(log1.values.slice(1, 4)))
+    })
+
+    it('iterates the entries in clock time bounds', async () => {
+      const log = new Log(storage, 'X', null, null, null, null, null, { sortFn: reverseClocks })
+      await log.append('one')
+      await log.append('two')
+      await log.append('three')
+      await log.append('four')
+      const payloads = async (options) => (await toArray(log.iterator(options))).map(e => e.payload)
+      assert.deepEqual(await payloads({ gte: 2 }), ['four', 'three', 'two'])
+      assert.deepEqual(await payloads({ gt: 1, lt: 4 }), ['three', 'two'])
+      assert.deepEqual(await payloads({ lte: 3, limit: 1 }), ['three'])
+      assert.deepEqual(await payloads({ lte: 3, limit: 1, reverse: true }), ['one'])
+    })
+  })
+})
@@ -0,0 +1,107 @@
+'use strict'
+
+const assert = require('assert')
+const rmrf = require('rimraf')
+const Log = require('../src/log')
+const Entry = require('../src/entry')
+const Storage = require('../src/storage')
+
+const apis = [require('ipfs')]
+
+const dataDir = './ipfs/tests/storage'
+
+let ipfs
+
+apis.forEach((IPFS) => {
+
+  describe('Storage', function() {
+    this.timeout(40000)
+
+    before((done) => {
+      rmrf.sync(dataDir)
+      ipfs = new IPFS({
+        repo: dataDir,
+        EXPERIMENTAL: {
+          pubsub: true
+        },
+      })
+      ipfs.on('error', done)
+      ipfs.on('ready', () => done())
+    })
+
+    after(() => {
+      if (ipfs)
+        ipfs.stop()
+    })
+
+    describe('IPFSStorage', () => {
+      it('puts and gets a block', async () => {
+        const storage = new Storage.IPFSStorage(ipfs)
+        const hash = await storage.put(Buffer.from('hello'))
+        const data = await storage.get(hash)
+        assert.equal(hash, 'QmTnaGEpw4totXN7rhv2jPMXKfL8s65PhhCKL5pwtJfRxn')
+        assert.equal(data.toString(), 'hello')
+      })
+
+      it('returns the same hash as ipfs.object.put', async () => {
+        const storage = new Storage.IPFSStorage(ipfs)
+        const hash = await storage.put(Buffer.from('hello world'))
+        const dagNode = await ipfs.object.put(Buffer.from('hello world'))
+        assert.equal(hash, dagNode.toJSON().multihash)
+      })
+
+      it('has a block', async () => {
+        const storage = new Storage.IPFSStorage(ipfs)
+        const hash = await storage.put(Buffer.from('hello'))
+        assert.equal(await storage.has(hash), true)
+      })
+    })
+
+    describe('toStorage', () => {
+      it('wraps an IPFS instance in an IPFSStorage', () => {
+        const storage = Storage.toStorage(ipfs)
+        assert.equal(storage instanceof Storage.IPFSStorage, true)
+      })
+
+      it('returns a storage adapter as-is', () => {
+        const storage = new Storage.IPFSStorage(ipfs)
+        assert.equal(Storage.toStorage(storage), storage)
+      })
+    })
+
+    describe('custom storage adapter', () => {
+      let storage, puts, gets
+
+      beforeEach(() => {
+        const ipfsStorage = new Storage.IPFSStorage(ipfs)
+        puts = 0
+        gets = 0
+        storage = {
+          put: (data) => { puts ++; return ipfsStorage.put(data) },
+          get: (hash) => { gets ++; return ipfsStorage.get(hash) },
+          has: (hash) => ipfsStorage.has(hash),
+        }
+      })
+
+      it('creates and reads entries', async () => {
+        const entry = await Entry.create(storage, 'A', 'hello')
+        const res = await Entry.fromMultihash(storage, entry.hash)
+        assert.equal(puts, 1)
+        assert.equal(gets, 1)
+        assert.equal(res.hash, entry.hash)
+        assert.equal(res.payload, 'hello')
+      })
+
+      it('appends to and loads a log', async () => {
+        const log = new Log(storage, 'A')
+        await log.append('one')
+        await log.append('two')
+        const hash = await log.toMultihash()
+        const res = await Log.fromMultihash(storage, hash)
+        assert.equal(puts, 3)
+        assert.equal(gets, 3)
+        assert.deepEqual(res.values.map(e => e.payload), ['one', 'two'])
+      })
+    })
+  })
+})